@@ -5,7 +5,6 @@
 import { Hono } from 'hono';
 import { Context } from 'hono/context';
 import { Pool } from 'undici';
-import { LRUCache } from 'lru-cache';
 
 /**
  * Configuration constants
@@ -20,16 +19,318 @@ export const MAX_CONNECTIONS: number;
 export const MAX_KEEP_ALIVE_TIMEOUT: number;
 export const CACHE_STRATEGY: 'off' | 'force' | 'auto';
 export const CACHE_STATIC_ONLY: boolean;
+export const CACHE_MEMORY_MAX_SIZE: number;
+export const CACHE_MEMORY_MAX_ENTRY_SIZE: number;
+export const CACHE_DIR: string;
+export const CACHE_DISK_MAX_SIZE: number;
+export const CACHE_STALE_WHILE_REVALIDATE: number;
+export const CACHE_STALE_IF_ERROR: number;
+export const CACHE_STALE_TIMEOUT: number;
+export const CACHE_KEY_IGNORE_PARAMS: string[];
+export const CACHE_KEY_SORT_PARAMS: boolean;
+export const CACHE_KEY_LOWERCASE: boolean;
+export const CACHE_KEY_HEADERS: string[];
+export const CACHE_KEY_COOKIES: string[];
+export const ACCESS_TOKEN: string;
+export const TOKENS_FILE: string;
+export const SESSION_SECRET: string;
+export const SESSION_MAX_AGE: number;
+export const LOGIN_MAX_ATTEMPTS: number;
+export const LOGIN_LOCKOUT: number;
+export const LOGIN_MAX_LOCKOUT: number;
+export const RATE_LIMITS_FILE: string;
+export const IP_ALLOW: string[];
+export const IP_DENY: string[];
+export const IP_ALLOW_SKIP_TOKEN: boolean;
+export const TRUSTED_PROXIES: string[];
+export const SITES_FILE: string;
+export const EXTERNAL_DOMAINS: string[];
+export const HEADER_RULES_FILE: string;
+export const BLOCK_RULES_FILE: string;
+export const PREWARM_FILE: string;
+export const WARC_MODE: 'off' | 'record' | 'replay';
+export const WARC_DIR: string;
+export const WARC_MAX_FILE_SIZE: number;
+export const WARC_MAX_RECORD_SIZE: number;
+export const STREAMING_TYPES: string[];
+export const ROUTE_TIMEOUTS: Array<{ pattern: RegExp; ms: number }>;
+export const COOKIE_DOMAIN: string;
+export const COOKIE_SECURE: 'auto' | 'keep' | 'strip';
+export const COOKIE_PREFIX: string;
+export const REWRITE_TYPES: Array<'html' | 'css' | 'js' | 'json' | 'xml' | 'manifest' | 'sourcemap'>;
 
 /**
- * Connection pool for origin server
+ * A mirrored origin, selected by the request Host header
  */
-export const originPool: Pool;
+export interface Site {
+    name: string;
+    hosts: string[];
+    prefix: string;
+    protocol: string;
+    origin: string;
+    accessToken: string;
+    rewriteTypes: string[];
+    cookiePrefix: string;
+    cacheKey: {
+        ignoreParam(name: string): boolean;
+        sortParams: boolean;
+        lowercase: boolean;
+        headers: string[];
+        cookies: string[];
+    };
+    headerRules: HeaderRules;
+    externalDomains: Array<{ protocol: string; pattern: string }>;
+    inject: {
+        headBegin: string;
+        headEnd: string;
+        bodyBegin: string;
+        bodyEnd: string;
+    };
+    pool: Pool;
+    /** Set on entries for /__ext/<host>/ requests */
+    external?: boolean;
+    parent?: Site;
+}
+
+/**
+ * Compiled header rules, split by phase
+ */
+export interface HeaderRules {
+    request: unknown[];
+    response: unknown[];
+}
+
+/**
+ * Global header rules (built-in rules plus HEADER_RULES_FILE)
+ */
+export const headerRules: HeaderRules;
+
+/**
+ * Middleware applying response header rules
+ */
+export function responseHeaderRules(c: Context, next: () => Promise<void>): Promise<void>;
+
+/**
+ * Configured sites, each with its own connection pool
+ */
+export const sites: Site[];
+
+/**
+ * Site lookup by Host header and path prefix
+ */
+export const siteRouter: {
+    resolve(host?: string, path?: string): Site | null;
+    mounts(host?: string): Site[];
+};
+
+/**
+ * Sites mounted on the request host, current site first
+ */
+export function getSiteMounts(c: Context): Site[];
+
+/**
+ * Middleware that resolves the site and stores it as c.get('site')
+ */
+export function siteResolver(c: Context, next: () => Promise<void>): Promise<Response | void>;
+
+/**
+ * A cached response
+ */
+export interface CacheEntry {
+    site: string;
+    /** Body kept in memory; entries over CACHE_MEMORY_MAX_ENTRY_SIZE have bodyFile and size instead */
+    body?: Uint8Array;
+    bodyFile?: string;
+    size?: number;
+    contentType: string;
+    status: number;
+    statusText: string;
+    headers: Record<string, string>;
+    cachedAt: number;
+    expiresAt: number;
+    staleWhileRevalidateUntil?: number;
+    staleIfErrorUntil?: number;
+}
+
+/**
+ * Lifetime fields of a new cache entry, from CACHE_TTL and the origin's Cache-Control
+ */
+export function getCacheLifetime(cacheControl: string): Pick<CacheEntry, 'cachedAt' | 'expiresAt' | 'staleWhileRevalidateUntil' | 'staleIfErrorUntil'>;
+
+/**
+ * Whether the client's If-None-Match / If-Modified-Since matches the response headers
+ */
+export function clientHasCurrent(c: Context, headers: Headers): boolean;
+
+/**
+ * Turn a 200 response into a 304 when the client already holds it
+ */
+export function notModifiedResponse(c: Context, response: Response): Response;
+
+/**
+ * Client response for a cache entry
+ */
+export function cachedResponse(c: Context, cached: CacheEntry, xCache: 'HIT' | 'STALE' | 'REVALIDATED', cacheKey: string): Response;
+
+/**
+ * Start a new lifetime for a cache entry the origin confirmed with 304
+ */
+export function refreshCacheEntry(cacheKey: string, cached: CacheEntry, notModified: Response): CacheEntry;
+
+/**
+ * Auth for the /cache/* endpoints: CACHE_CLEAR_TOKEN from "Authorization: Bearer" or X-Cache-Token
+ */
+export function cacheAdminAuth(c: Context, next: () => Promise<void>): Promise<Response | void>;
+
+/**
+ * Base cache key of a mirror URL, null when no site serves it
+ */
+export function urlToBaseKey(url: string): string | null;
+
+/**
+ * Request a mirror URL through the whole app (token auth skipped)
+ */
+export function internalFetch(url: string): Promise<Response>;
+
+/**
+ * Prewarm job progress
+ */
+export interface PrewarmStatus {
+    status: 'pending' | 'running' | 'done' | 'cancelled' | 'failed';
+    base: string;
+    startedAt: string | null;
+    finishedAt: string | null;
+    queued: number;
+    fetched: number;
+    cached: number;
+    failed: number;
+    sitemaps: number;
+    remaining: number;
+    errors: Array<{ url: string; error: string }>;
+}
+
+/**
+ * Start a prewarm job (see lib/prewarm.js for the job format)
+ */
+export function startPrewarm(spec: Record<string, unknown>): { start(): void; cancel(): void; status(): PrewarmStatus };
+
+/**
+ * Misses currently being fetched from the origin, shared by concurrent requests for the same key
+ */
+export const inflight: Map<string, Promise<{ entry: CacheEntry; storeKey: string; varyNames: string[]; xCache: string } | null>>;
+
+/**
+ * Refresh a cache entry by replaying the request through the app with the cache lookup skipped
+ */
+export function revalidateInBackground(c: Context, cacheKey: string): void;
+
+/**
+ * Entry metadata listed by CacheStore.entries()
+ */
+export interface CacheEntryInfo {
+    site: string;
+    contentType: string;
+    status: number;
+    cachedAt: number;
+    expiresAt: number;
+    size: number;
+    tier: 'memory' | 'disk';
+}
+
+/**
+ * Two-tier cache: memory LRU bounded by bytes, optional disk store
+ */
+/**
+ * Streams one body into the cache, see CacheStore.createWriter
+ */
+export interface CacheWriter {
+    write(chunk: Uint8Array): Promise<void>;
+    /** The stored entry, or null when it was not stored (too large, aborted, write error) */
+    end(): Promise<CacheEntry | null>;
+    abort(): void;
+}
+
+export interface CacheStore {
+    ttl: number;
+    load(): Promise<number>;
+    get(key: string): Promise<CacheEntry | undefined>;
+    set(key: string, entry: Omit<CacheEntry, 'expiresAt'> & { expiresAt?: number }): void;
+    createWriter(key: string, entry: Omit<CacheEntry, 'expiresAt' | 'body' | 'bodyFile' | 'size'> & { expiresAt?: number }): CacheWriter;
+    delete(key: string): Promise<boolean>;
+    clear(): Promise<void>;
+    has(key: string): boolean;
+    entries(): IterableIterator<[string, CacheEntryInfo]>;
+    info(): {
+        memory: { size: number; maxSize: number; maxEntrySize: number; calculatedSize: number };
+        disk: { dir: string; size: number; maxSize: number; calculatedSize: number } | null;
+    };
+}
+
+/**
+ * Proxies WebSocket handshakes (c.env.upgrade set by handleUpgrade) to the site's origin
+ */
+export function webSocketProxy(c: Context, next: () => Promise<void>): Promise<Response | void>;
+
+/**
+ * Server 'upgrade' listener: runs the handshake through the app (site, token auth, header rules)
+ */
+export function handleUpgrade(req: import('node:http').IncomingMessage, socket: import('node:stream').Duplex, head: Buffer): Promise<void>;
+
+/**
+ * Whether a Content-Type is passed through as a stream (STREAMING_TYPES)
+ */
+export function isStreamingType(contentType: string | undefined): boolean;
+
+/**
+ * Time in ms the request may take until the response starts (ROUTE_TIMEOUTS, else REQUEST_TIMEOUT),
+ * 0 = no limit; streaming requests (Accept: text/event-stream...) are never limited
+ */
+export function getRequestTimeout(c: Context): number;
+
+/**
+ * Applies getRequestTimeout with Hono's timeout middleware (504 when exceeded)
+ */
+export function routeTimeout(c: Context, next: () => Promise<void>): Promise<void>;
+
+/**
+ * Response for a cache entry; Range / If-Range requests get 206 or 416
+ */
+export function cachedResponse(c: Context, cached: CacheEntry, xCache: string, cacheKey: string): Response;
 
 /**
  * Cache instance (null if cache is disabled)
  */
-export const cache: LRUCache<string, any> | null;
+export const cache: CacheStore | null;
+
+/**
+ * WARC recorder (WARC_MODE=record)
+ */
+export interface WarcWriter {
+    stats(): { files: number; records: number; skipped: number; file: string };
+    close(): Promise<void>;
+}
+
+export const warcWriter: WarcWriter | null;
+
+/**
+ * Origin response as returned by undici, or by the WARC archive in replay mode
+ */
+export interface OriginResponse {
+    statusCode: number;
+    headers: Record<string, string | string[]>;
+    body: NodeJS.ReadableStream & { dump(): Promise<void> };
+}
+
+/**
+ * Send a request to the site's origin, recording it or answering it from the WARC archive
+ */
+export function originRequest(site: Site, options: {
+    path: string;
+    method: string;
+    headers: Headers;
+    body: ReadableStream | null;
+    headersTimeout?: number;
+}): Promise<OriginResponse>;
 
 /**
  * Static resource extensions list
@@ -64,22 +365,48 @@ export function encodePath(path: string): string;
 /**
  * HTML injection middleware factory
  */
-export function htmlInjectMiddleware(): (c: Context, next: () => Promise<void>) => Promise<void>;
+export function htmlInjectMiddleware(
+    injectedOrResolver?: string | ((c: Context) => Partial<Site['inject']> | undefined),
+    injectedHeadEnd?: string,
+    injectedBodyBegin?: string,
+    injectedBodyEnd?: string,
+): (c: Context, next: () => Promise<void>) => Promise<void>;
 
 /**
  * Static resource cache middleware
  */
 export function staticCacheMiddleware(c: Context, next: () => Promise<void>): Promise<void>;
 
+/**
+ * Origin -> mirror mappings for links and redirects on this request
+ */
+export function getLinkMappings(c: Context): Array<{ origin: string; target: string }>;
+
 /**
  * Process request headers for proxying
  */
-export function processHeaders(originalHeaders: Headers): Headers;
+export function processHeaders(originalHeaders: Headers, site: Site, mirrorOrigin?: string): Headers;
+
+/**
+ * Set-Cookie rewriting options for the current request
+ */
+export interface CookieOptions {
+    drop: boolean;
+    domain: string;
+    stripSecure: boolean;
+    pathPrefix: string;
+    namePrefix: string;
+}
+
+export function getCookieOptions(c: Context): CookieOptions;
 
 /**
  * Process response headers from origin server
  */
-export function processResponseHeaders(originalHeaders: Headers | Record<string, string | string[]> | Map<string, string>): Headers;
+export function processResponseHeaders(
+    originalHeaders: Headers | Record<string, string | string[]> | Map<string, string>,
+    cookieOptions?: CookieOptions | null,
+): Headers;
 
 /**
  * Fix redirect URLs to point to mirror instead of origin
@@ -6,13 +6,17 @@ import {
     serve
 } from '@hono/node-server';
 import {
-    logger
+    logger,
+    getClientIP,
+    getRequestProtocol,
+    setTrustedProxies
 } from './middleware/log_v2.js';
 import {
     HTTPException
 } from 'hono/http-exception';
 import {
-    compress
+    compress,
+    COMPRESSIBLE_CONTENT_TYPE_REGEX
 } from 'hono/compress';
 import {
     timeout
@@ -28,20 +32,100 @@ import {
 } from 'hono/dev'
 
 import {
-    Pool
-} from 'undici';
+    randomBytes,
+    timingSafeEqual
+} from 'node:crypto';
 import {
-    LRUCache
-} from 'lru-cache';
+    createReadStream,
+    readFileSync,
+    realpathSync
+} from 'node:fs';
+import {
+    Readable
+} from 'node:stream';
+import {
+    STATUS_CODES
+} from 'node:http';
+import {
+    fileURLToPath
+} from 'node:url';
 import dotenv from 'dotenv'
 
 import {
     tokenAuth
 } from './middleware/token-auth'
+import htmlInjectMiddleware from './middleware/html-inject-middleware'
+import convertLinkMiddleware, {
+    REWRITE_TYPES as ALL_REWRITE_TYPES
+} from './middleware/convert-link'
+import {
+    rewriteSetCookie,
+    filterRequestCookies
+} from './lib/cookies.js'
+import {
+    loadHeaderRules,
+    applyHeaderRules
+} from './lib/header-rules.js'
+import {
+    createUrlRewriter,
+    createTextUrlRewriter,
+    rewriteRefresh
+} from './lib/url-rewriter.js'
+import {
+    loadSites,
+    createSiteResolver,
+    stripSitePrefix,
+    resolveExternalSite,
+    matchHost,
+    EXTERNAL_PATH,
+    closeSites
+} from './lib/sites.js'
+import {
+    createCacheStore,
+    parseSize
+} from './lib/cache-store.js'
+import {
+    buildCacheKey,
+    parseVary,
+    variantKey,
+    varyKey,
+    baseKeyOf
+} from './lib/cache-key.js'
+import {
+    compilePurgeSelection
+} from './lib/cache-purge.js'
+import {
+    createPrewarmJob
+} from './lib/prewarm.js'
+import {
+    createWarcWriter,
+    loadWarcArchive
+} from './lib/warc.js'
+import {
+    parseRange,
+    ifRangeMatches,
+    contentRangeTotal
+} from './lib/range.js'
+import {
+    compilePattern
+} from './lib/patterns.js'
+import {
+    createTokenStore
+} from './lib/access-tokens.js'
+import {
+    createLoginGuard
+} from './lib/login-guard.js'
 import {
-    htmlInjectMiddleware
-} from './middleware/html-inject-middleware'
-import convertLinkMiddleware from './middleware/convert-link'
+    compileRateLimits,
+    createRateLimiter
+} from './lib/rate-limit.js'
+import {
+    createIpMatcher
+} from './lib/ip-filter.js'
+import {
+    loadBlockRules,
+    matchBlockRule
+} from './lib/block-rules.js'
 
 
 
@@ -61,29 +145,190 @@ const MAX_KEEP_ALIVE_TIMEOUT = parseInt(process.env.MAX_KEEP_ALIVE_TIMEOUT || '6
 
 const ACCESS_TOKEN = process.env.ACCESS_TOKEN || ""
 
+// Named access tokens (JSON file, see tokens.example.json), reloaded when the file changes
+const TOKENS_FILE = process.env.TOKENS_FILE || '';
+// Key for the session cookies issued at login; a random one is used when unset,
+// so sessions end with the process
+const SESSION_SECRET = process.env.SESSION_SECRET || '';
+const SESSION_MAX_AGE = parseInt(process.env.SESSION_MAX_AGE || String(30 * 24 * 60 * 60), 10); // Seconds
+
+// Failed logins per client IP: lockout after LOGIN_MAX_ATTEMPTS, doubling up to LOGIN_MAX_LOCKOUT
+const LOGIN_MAX_ATTEMPTS = parseInt(process.env.LOGIN_MAX_ATTEMPTS || '5', 10);
+const LOGIN_LOCKOUT = parseInt(process.env.LOGIN_LOCKOUT || '60', 10); // Seconds
+const LOGIN_MAX_LOCKOUT = parseInt(process.env.LOGIN_MAX_LOCKOUT || '3600', 10); // Seconds
+
+// Rate limits and bandwidth quotas per client IP or access token (JSON file, see rate-limits.example.json)
+const RATE_LIMITS_FILE = process.env.RATE_LIMITS_FILE || '';
+
+// Cookie handling
+const COOKIE_DOMAIN = process.env.COOKIE_DOMAIN || ''; // Domain for origin cookies, empty = host-only
+const COOKIE_SECURE = process.env.COOKIE_SECURE || 'auto'; // 'auto' (strip on plain HTTP), 'keep', 'strip'
+const COOKIE_PREFIX = process.env.COOKIE_PREFIX || ''; // Namespace for origin cookie names
+
+// Cookies owned by the mirror itself, never forwarded to the origin
+const MIRROR_COOKIES = ['_access_token'];
+
+// Request/response header rules (JSON file), built-in rules apply when unset
+const HEADER_RULES_FILE = process.env.HEADER_RULES_FILE || '';
+
+// Blocked paths / content types (JSON file, see block-rules.example.json)
+const BLOCK_RULES_FILE = process.env.BLOCK_RULES_FILE || '';
+
+// Multi-site configuration (JSON file), falls back to PROXY_ORIGIN when unset
+const SITES_FILE = process.env.SITES_FILE || '';
+
 // Cache strategy configuration
 const CACHE_STRATEGY = process.env.CACHE_STRATEGY || 'auto'; // 'off', 'force', 'auto'
 const CACHE_STATIC_ONLY = process.env.CACHE_STATIC_ONLY === 'true'; // Only cache static resources
 
+// Cache tiers: memory LRU bounded by bytes, optional disk store that survives restarts
+const CACHE_MEMORY_MAX_SIZE = parseSize(process.env.CACHE_MEMORY_MAX_SIZE, 64 * 1024 * 1024);
+const CACHE_MEMORY_MAX_ENTRY_SIZE = parseSize(process.env.CACHE_MEMORY_MAX_ENTRY_SIZE, Math.floor(CACHE_MEMORY_MAX_SIZE / 8)); // Larger responses stay on disk only
+const CACHE_DIR = process.env.CACHE_DIR || ''; // Empty = memory only
+const CACHE_DISK_MAX_SIZE = parseSize(process.env.CACHE_DISK_MAX_SIZE, 1024 * 1024 * 1024);
+
+// Expired entries are served while refreshed in the background / when the origin fails (seconds),
+// the origin's stale-while-revalidate / stale-if-error directives take precedence
+const CACHE_STALE_WHILE_REVALIDATE = parseInt(process.env.CACHE_STALE_WHILE_REVALIDATE || '60', 10);
+const CACHE_STALE_IF_ERROR = parseInt(process.env.CACHE_STALE_IF_ERROR || '86400', 10);
+const CACHE_STALE_TIMEOUT = parseInt(process.env.CACHE_STALE_TIMEOUT || '3000', 10); // Origin wait (ms) before falling back to a stale entry
+
+// Prewarm job (JSON file, see prewarm.example.json) started with the server
+const PREWARM_FILE = process.env.PREWARM_FILE || '';
+
+// WARC archive of origin exchanges
+const WARC_MODE = process.env.WARC_MODE || 'off'; // 'off', 'record' (write every origin exchange), 'replay' (serve only from WARC_DIR, never contact the origin)
+const WARC_DIR = process.env.WARC_DIR || './warc';
+const WARC_MAX_FILE_SIZE = parseSize(process.env.WARC_MAX_FILE_SIZE, 1024 * 1024 * 1024); // Start a new file after this size
+const WARC_MAX_RECORD_SIZE = parseSize(process.env.WARC_MAX_RECORD_SIZE, 100 * 1024 * 1024); // Larger responses are proxied but not recorded
+
+// Cache key normalization, can be overridden per site with "cacheKey"
+const splitList = (value) => (value || '').split(',').map(v => v.trim()).filter(Boolean);
+const CACHE_KEY_IGNORE_PARAMS = splitList(process.env.CACHE_KEY_IGNORE_PARAMS); // Query parameters left out of the key, e.g. utm_*,fbclid
+const CACHE_KEY_SORT_PARAMS = process.env.CACHE_KEY_SORT_PARAMS === 'true'; // Ignore query parameter order
+const CACHE_KEY_LOWERCASE = process.env.CACHE_KEY_LOWERCASE === 'true'; // Fold the path to lower case
+const CACHE_KEY_HEADERS = splitList(process.env.CACHE_KEY_HEADERS); // Request headers added to every key
+const CACHE_KEY_COOKIES = splitList(process.env.CACHE_KEY_COOKIES); // Cookie names added to every key
+
+// Streaming responses (SSE, NDJSON...) are passed through chunk by chunk: no compression,
+// rewriting, caching or recording
+const STREAMING_TYPES = splitList(process.env.STREAMING_TYPES || 'text/event-stream,application/x-ndjson,application/stream+json,multipart/x-mixed-replace').map(t => t.toLowerCase());
+
+// Per-route timeouts, "pattern=ms" pairs (first match wins, 0 = no limit), e.g. /api/events=0,/export/*=60000;
+// other routes use REQUEST_TIMEOUT
+const parseRouteTimeouts = (value) => splitList(value).map(entry => {
+    const separator = entry.lastIndexOf('=');
+    const ms = separator > 0 ? Number(entry.slice(separator + 1)) : NaN;
+    if (!Number.isInteger(ms) || ms < 0) {
+        throw new Error(`Invalid ROUTE_TIMEOUTS entry "${entry}", expected pattern=ms`);
+    }
+    return {
+        pattern: compilePattern(entry.slice(0, separator).trim()),
+        ms,
+    };
+});
+const ROUTE_TIMEOUTS = parseRouteTimeouts(process.env.ROUTE_TIMEOUTS);
+
+// Client networks (comma-separated CIDRs or addresses), checked before the access token
+const IP_ALLOW = splitList(process.env.IP_ALLOW); // Only these networks may connect, empty = everyone
+const IP_DENY = splitList(process.env.IP_DENY); // Always refused, even when also allowed
+const IP_ALLOW_SKIP_TOKEN = process.env.IP_ALLOW_SKIP_TOKEN === 'true'; // IP_ALLOW networks need no access token
+// Reverse proxies whose X-Forwarded-For / Forwarded headers give the client address
+const TRUSTED_PROXIES = splitList(process.env.TRUSTED_PROXIES);
+
 
 const INJECTED_HEAD_BEGIN = process.env.INJECTED_HEAD_BEGIN || '';
 const INJECTED_HEAD_END = process.env.INJECTED_HEAD_END || '';
 const INJECTED_BODY_BEGIN = process.env.INJECTED_BODY_BEGIN || '';
 const INJECTED_BODY_END = process.env.INJECTED_BODY_END || '';
 
+// Content types whose origin URLs are rewritten: html, css, js, json, xml, manifest, sourcemap
+const REWRITE_TYPES = (process.env.REWRITE_TYPES || ALL_REWRITE_TYPES.join(','))
+    .split(',').map(t => t.trim()).filter(Boolean);
 
-// Create connection pool
-const originPool = new Pool(`${PROTOCOL}://${ORIGIN_SERVER}`, {
-    connections: MAX_CONNECTIONS,
+// Third-party domains proxied through /__ext/<host>/ (comma separated, "*.example.com" allowed)
+const EXTERNAL_DOMAINS = (process.env.EXTERNAL_DOMAINS || '')
+    .split(',').map(d => d.trim()).filter(Boolean);
+
+
+// Create sites, each with its own connection pool
+const sites = loadSites(SITES_FILE, {
+    protocol: PROTOCOL,
+    origin: ORIGIN_SERVER,
+    accessToken: ACCESS_TOKEN,
+    inject: {
+        headBegin: INJECTED_HEAD_BEGIN,
+        headEnd: INJECTED_HEAD_END,
+        bodyBegin: INJECTED_BODY_BEGIN,
+        bodyEnd: INJECTED_BODY_END,
+    },
+    rewriteTypes: REWRITE_TYPES,
+    externalDomains: EXTERNAL_DOMAINS,
+    cookiePrefix: COOKIE_PREFIX,
+    cacheKey: {
+        ignoreParams: CACHE_KEY_IGNORE_PARAMS,
+        sortParams: CACHE_KEY_SORT_PARAMS,
+        lowercase: CACHE_KEY_LOWERCASE,
+        headers: CACHE_KEY_HEADERS,
+        cookies: CACHE_KEY_COOKIES,
+    },
+    maxConnections: MAX_CONNECTIONS,
     keepAliveTimeout: MAX_KEEP_ALIVE_TIMEOUT,
 });
+const siteRouter = createSiteResolver(sites);
+
+const headerRules = loadHeaderRules(HEADER_RULES_FILE);
+
+const blockRules = loadBlockRules(BLOCK_RULES_FILE);
 
 // Create cache (only if strategy is not 'off')
-const cache = CACHE_STRATEGY !== 'off' ? new LRUCache({
-    max: 100,
+const cache = CACHE_STRATEGY !== 'off' ? createCacheStore({
     ttl: CACHE_TTL * 1000,
+    memoryMaxSize: CACHE_MEMORY_MAX_SIZE,
+    memoryMaxEntrySize: CACHE_MEMORY_MAX_ENTRY_SIZE,
+    diskDir: CACHE_DIR,
+    diskMaxSize: CACHE_DISK_MAX_SIZE,
+}) : null;
+
+// Restore the disk tier left by the previous run
+if (cache && CACHE_DIR) {
+    const restored = await cache.load();
+    console.log(`💾 Disk cache: ${restored} entries restored from ${CACHE_DIR}`);
+}
+
+// WARC recorder / replay archive
+const warcWriter = WARC_MODE === 'record' ? createWarcWriter({
+    dir: WARC_DIR,
+    maxFileSize: WARC_MAX_FILE_SIZE,
+    maxRecordSize: WARC_MAX_RECORD_SIZE,
 }) : null;
 
+const warcArchive = WARC_MODE === 'replay' ? await loadWarcArchive(WARC_DIR) : null;
+if (warcArchive) {
+    console.log(`📼 WARC replay: ${warcArchive.size()} responses from ${warcArchive.files} files in ${WARC_DIR}`);
+}
+
+const tokenStore = createTokenStore(TOKENS_FILE);
+if (TOKENS_FILE) {
+    console.log(`🔑 Access tokens: ${tokenStore.size} loaded from ${TOKENS_FILE}`);
+    if (!tokenStore.size) {
+        console.warn(`⚠️ ${TOKENS_FILE} has no tokens, only the shared token (if any) can log in`);
+    }
+}
+setTrustedProxies(TRUSTED_PROXIES);
+const isAllowedIP = createIpMatcher(IP_ALLOW);
+const isDeniedIP = createIpMatcher(IP_DENY);
+
+const rateLimiter = createRateLimiter(RATE_LIMITS_FILE ? compileRateLimits(JSON.parse(readFileSync(RATE_LIMITS_FILE, 'utf-8'))) : []);
+if (RATE_LIMITS_FILE) {
+    console.log(`🚦 Rate limits: ${rateLimiter.size} rules from ${RATE_LIMITS_FILE}`);
+}
+
+const sessionSecret = SESSION_SECRET || randomBytes(32).toString('hex');
+if (!SESSION_SECRET && (TOKENS_FILE || sites.some(site => site.accessToken))) {
+    console.warn('⚠️ SESSION_SECRET is not set, login sessions end when the server restarts');
+}
+
 // Static resource extensions list
 const STATIC_EXTENSIONS = [
     'jpg', 'jpeg', 'png', 'gif', 'bmp', 'webp', 'svg', 'ico',
@@ -160,6 +405,30 @@ const shouldCacheResponse = (path, contentType, cacheControl) => {
     return false;
 };
 
+// Seconds from a Cache-Control directive such as "stale-if-error=600", or the fallback
+const getDirectiveSeconds = (cacheControl, name, fallback) => {
+    const match = new RegExp(`(?:^|,)\\s*${name}\\s*=\\s*"?(\\d+)`, 'i').exec(cacheControl);
+    return match ? parseInt(match[1], 10) : fallback;
+};
+
+// Lifetime of a new cache entry: fresh until expiresAt, then usable as a stale copy
+// for the stale-while-revalidate and stale-if-error windows
+const getCacheLifetime = (cacheControl) => {
+    const cachedAt = Date.now();
+    const expiresAt = cachedAt + CACHE_TTL * 1000;
+    // must-revalidate forbids serving stale copies unless the origin says otherwise
+    const mustRevalidate = /(^|,)\s*(must|proxy)-revalidate\s*(,|$)/i.test(cacheControl);
+    const staleWhileRevalidate = getDirectiveSeconds(cacheControl, 'stale-while-revalidate', mustRevalidate ? 0 : CACHE_STALE_WHILE_REVALIDATE);
+    const staleIfError = getDirectiveSeconds(cacheControl, 'stale-if-error', mustRevalidate ? 0 : CACHE_STALE_IF_ERROR);
+
+    return {
+        cachedAt,
+        expiresAt,
+        staleWhileRevalidateUntil: expiresAt + staleWhileRevalidate * 1000,
+        staleIfErrorUntil: expiresAt + staleIfError * 1000,
+    };
+};
+
 // Fixed timing middleware to avoid immutable header issues
 const safeTiming = async (c, next) => {
     const start = Date.now();
@@ -192,35 +461,383 @@ const encodePath = (path) => {
     return path.split('/').map(segment => encodePathSegment(segment)).join('/');
 };
 
+// Pick the site for this request from the Host header and path prefix
+const siteResolver = async (c, next) => {
+    let site = siteRouter.resolve(c.req.header('host'), c.req.path);
+
+    // /__ext/<host>/... goes to one of the site's allowed third-party domains
+    const externalSite = site ? resolveExternalSite(site, stripSitePrefix(site, c.req.path)) : undefined;
+    if (externalSite === null) {
+        return c.json({
+            error: 'External domain not allowed'
+        }, 403);
+    }
+    if (externalSite) {
+        site = externalSite;
+    }
+
+    if (!site && c.req.path !== '/health' && !c.req.path.startsWith('/cache/')) {
+        return c.json({
+            error: 'Unknown site'
+        }, 404);
+    }
+
+    // "/npm" -> "/npm/" so relative links on the mounted root resolve under the prefix
+    if (site && site.prefix && c.req.path === site.prefix) {
+        const url = new URL(c.req.url);
+        return c.redirect(`${site.prefix}/${url.search}`, 301);
+    }
+
+    c.set('site', site);
+    await next();
+};
+
+// Sites mounted on the current host, the current site first so its own origin wins
+const getSiteMounts = (c) => {
+    const site = c.get('site');
+    const mounts = siteRouter.mounts(c.req.header('host'));
+    return site ? [site, ...mounts.filter(m => m !== site)] : mounts;
+};
+
+// Origin -> mirror mappings for links and redirects: the sites mounted on this
+// host, then the external domains of the current site ("{host}" is the matched host)
+const getLinkMappings = (c) => {
+    const site = c.get('site');
+    const owner = site?.parent || site;
+    const mappings = getSiteMounts(c).map(mount => ({
+        origin: mount.origin,
+        target: `HOST${mount.prefix}`,
+    }));
+
+    for (const domain of owner?.externalDomains || []) {
+        mappings.push({
+            origin: domain.pattern,
+            target: `HOST${owner.prefix}${EXTERNAL_PATH}{host}`,
+        });
+    }
+    return mappings;
+};
+
+const mimeType = (contentType) => (contentType || '').split(';')[0].trim().toLowerCase();
+
+const isStreamingType = (contentType) => STREAMING_TYPES.includes(mimeType(contentType));
+
+// EventSource and similar clients announce the stream in Accept before the origin answers
+const acceptsStreaming = (c) => (c.req.header('accept') || '').split(',').some(isStreamingType);
+
+// Time allowed until the response starts, 0 = no limit
+const getRequestTimeout = (c) => {
+    if (acceptsStreaming(c)) {
+        return 0;
+    }
+    const route = ROUTE_TIMEOUTS.find(({ pattern }) => pattern.test(c.req.path));
+    return route ? route.ms : REQUEST_TIMEOUT;
+};
+
+const timeoutMiddlewares = new Map();
+const routeTimeout = async (c, next) => {
+    const ms = getRequestTimeout(c);
+    c.set('requestTimeout', ms);
+    if (!ms) {
+        return next();
+    }
+    if (!timeoutMiddlewares.has(ms)) {
+        timeoutMiddlewares.set(ms, timeout(ms));
+    }
+    return timeoutMiddlewares.get(ms)(c, next);
+};
+
+// prettyJSON reads the whole body before answering, which a stream never finishes
+const prettyJSONMiddleware = prettyJSON({
+    force: true
+});
+const prettyJSONUnlessStreaming = async (c, next) => {
+    let streamed = null;
+    await prettyJSONMiddleware(c, async () => {
+        await next();
+        if (c.get('streaming')) {
+            streamed = c.res;
+            c.res = undefined;
+            c.res = new Response(null);
+        }
+    });
+    if (streamed) {
+        c.res = undefined;
+        c.res = streamed;
+    }
+};
+
+// Network allow/deny lists, before tokenAuth; requests the mirror makes itself are not filtered
+const ipFilter = async (c, next) => {
+    if ((!isAllowedIP.size && !isDeniedIP.size) || c.env?.internal || c.env?.cacheRefresh || c.req.path === '/health') {
+        return next();
+    }
+
+    const ip = getClientIP(c);
+    const allowed = isAllowedIP(ip);
+    if (isDeniedIP(ip) || (isAllowedIP.size && !allowed)) {
+        console.log(`IP refused: ${ip} ${c.req.method} ${c.req.url}`);
+        return c.json({
+            error: 'Forbidden'
+        }, 403);
+    }
+
+    c.set('networkAllowed', allowed);
+    await next();
+};
+
+// Runs after tokenAuth so limits can follow the access token instead of the IP.
+// Response bodies are counted as they are sent (before compression); an aborted
+// download counts up to where it stopped
+const rateLimit = async (c, next) => {
+    if (!rateLimiter.size || c.env?.internal || c.env?.cacheRefresh || c.req.path === '/health') {
+        return next();
+    }
+
+    const site = c.get('site');
+    const result = rateLimiter.check({
+        path: c.req.path,
+        siteName: (site?.parent || site)?.name,
+        ip: getClientIP(c),
+        token: c.get('accessToken')?.name,
+    });
+    if (result.retryAfter) {
+        console.log(`Rate limited: ${c.req.url} (${result.key}, rule ${result.rule}, retry after ${result.retryAfter}s)`);
+        c.header('Retry-After', String(result.retryAfter));
+        return c.json({
+            error: 'Too Many Requests'
+        }, 429);
+    }
+
+    await next();
+
+    if (c.res?.body) {
+        const response = c.res;
+        const counted = response.body.pipeThrough(new TransformStream({
+            transform(chunk, controller) {
+                result.charge(chunk.byteLength);
+                controller.enqueue(chunk);
+            },
+        }));
+        c.res = undefined;
+        c.res = new Response(counted, {
+            status: response.status,
+            statusText: response.statusText,
+            headers: response.headers,
+        });
+    }
+};
+
 // Middleware
 app.use(safeTiming);
 app.use(logger());
-app.use(compress());
-app.use("!/health", tokenAuth({
+app.use(compress({
+    contentTypeFilter: (type) => COMPRESSIBLE_CONTENT_TYPE_REGEX.test(type) && !isStreamingType(type),
+}));
+app.use(siteResolver);
+app.use(ipFilter);
+app.use(tokenAuth({
     cookieName: '_access_token', // 可选，默认'access_token'
-    token: ACCESS_TOKEN, // 必填，预期的令牌值
-    setupPageTitle: '访问令牌' // 可选，页面标题
-}))
-app.use(prettyJSON({
-    force: true
+    token: (c) => c.get('site')?.accessToken ?? ACCESS_TOKEN, // 可选，共享令牌（按站点，为空且没有命名令牌则不验证）
+    tokens: TOKENS_FILE ? tokenStore : undefined, // 可选，TOKENS_FILE 中的命名令牌；设置了文件就始终验证，令牌全部删除后拒绝访问
+    secret: sessionSecret, // 必填，会话 cookie 的签名密钥
+    sessionMaxAge: SESSION_MAX_AGE, // 可选，会话有效期（秒）
+    pathPrefix: (c) => (c.get('site')?.parent || c.get('site'))?.prefix || '', // 可选，登录/退出地址 <前缀>/__auth/login、<前缀>/__auth/logout
+    siteName: (c) => (c.get('site')?.parent || c.get('site'))?.name, // 可选，命名令牌的 sites 限制
+    guard: createLoginGuard({ // 可选，按客户端 IP 限制登录失败次数
+        maxAttempts: LOGIN_MAX_ATTEMPTS,
+        lockout: LOGIN_LOCKOUT * 1000,
+        maxLockout: LOGIN_MAX_LOCKOUT * 1000,
+    }),
+    clientId: getClientIP, // 可选，与日志中的客户端 IP 一致
+    protocol: getRequestProtocol, // 可选，决定会话 cookie 是否带 Secure；只信任 TRUSTED_PROXIES 发来的 X-Forwarded-Proto
+    setupPageTitle: '访问令牌', // 可选，页面标题
+    excludePaths: ['/health', '/cache/info', '/cache/stats', '/cache/clear', '/cache/purge', '/cache/prewarm', '/cache/usage'], // 可选，不需要令牌的路径（缓存管理接口使用 CACHE_CLEAR_TOKEN）
+    adminPath: '/cache', // 可选，挂载在前缀下的站点上登录的 admin 令牌也可以访问缓存管理接口
+    skip: (c) => c.env?.internal === true || c.env?.cacheRefresh === true || (IP_ALLOW_SKIP_TOKEN && c.get('networkAllowed') === true), // 可选，镜像自己发起的请求（缓存预热、后台刷新已缓存的条目）和 IP_ALLOW_SKIP_TOKEN 时允许的网络不验证
 }))
-app.use(htmlInjectMiddleware(
-    INJECTED_HEAD_BEGIN,
-    INJECTED_HEAD_END,
-    INJECTED_BODY_BEGIN,
-    INJECTED_BODY_END,
-));
+app.use(rateLimit)
+app.use(prettyJSONUnlessStreaming)
 app.use(logger());
-app.use(timeout(5000))
-app.use(convertLinkMiddleware([{
-    origin: ORIGIN_SERVER,
-    target: "HOST",
-}]))
+app.use(routeTimeout)
+
+// Rewrites origin URLs in a header value ("rewrite-origin" header rule)
+const createHeaderOriginRewriter = (c) => {
+    const host = c.req.header('host') || '';
+    const mappings = getLinkMappings(c).map(m => ({
+        origin: m.origin,
+        target: m.target.replace(/^HOST/, host),
+    }));
+    const rewriteUrl = createUrlRewriter({
+        mappings,
+        pathPrefix: c.get('site').prefix,
+    });
+    const rewriteText = createTextUrlRewriter({
+        mappings,
+    });
+
+    return (header, value) => {
+        // Link: <https://origin/style.css>; rel=preload
+        let rewritten = value.replace(/<([^>]*)>/g, (match, url) => `<${rewriteUrl(url)}>`);
+
+        if (header === 'refresh') {
+            rewritten = rewriteRefresh(rewritten, rewriteUrl);
+        } else if (header === 'content-location') {
+            rewritten = rewriteUrl(rewritten);
+        }
+        rewritten = rewriteText(rewritten);
+
+        // An allowed origin has no path, even when the site is mounted under a prefix
+        if (header === 'access-control-allow-origin' && rewritten !== value && rewritten !== '*') {
+            try {
+                return new URL(rewritten).origin;
+            } catch {
+                return rewritten;
+            }
+        }
+        return rewritten;
+    };
+};
+
+const getHeaderRuleContext = (c, contentType = '') => {
+    const site = c.get('site');
+    const url = new URL(c.req.url);
+
+    return {
+        path: stripSitePrefix(site, c.req.path),
+        contentType,
+        siteName: (site.parent || site).name,
+        vars: {
+            host: url.host,
+            origin: site.origin,
+            mirror: `${url.origin}${site.prefix}`,
+        },
+        rewriteOrigin: createHeaderOriginRewriter(c),
+    };
+};
+
+const getHeaderRules = (c, phase) => [...headerRules[phase], ...c.get('site').headerRules[phase]];
+
+const blockedResponse = (c, rule) => {
+    console.log(`Blocked: ${c.req.method} ${c.req.url} (rule ${rule.name})`);
+
+    if (rule.action === 'redirect') {
+        const site = c.get('site');
+        const prefix = (site.parent || site).prefix;
+        const location = rule.location.startsWith('/') && !rule.location.startsWith('//') ? `${prefix}${rule.location}` : rule.location;
+        return c.redirect(location, rule.status);
+    }
+    if (rule.html !== null) {
+        return c.html(rule.html, rule.status);
+    }
+    return c.json({
+        error: rule.status === 404 ? 'Not Found' : 'Forbidden'
+    }, rule.status);
+};
+
+// Block rules run first in the proxy routes: path / method / query rules before the
+// cache or the origin is asked, content type rules as soon as the response headers are in
+// (cached responses included, so nothing blocked is served from an older copy)
+const blockRequests = async (c, next) => {
+    if (!blockRules.length || c.req.path === '/health' || c.req.path.startsWith('/cache/')) {
+        return next();
+    }
+
+    const site = c.get('site');
+    const request = {
+        method: c.req.method,
+        path: stripSitePrefix(site, c.req.path),
+        query: new URL(c.req.url).searchParams,
+        siteName: (site.parent || site).name,
+    };
+
+    const rule = matchBlockRule(blockRules, request);
+    if (rule) {
+        return blockedResponse(c, rule);
+    }
+
+    await next();
+
+    const contentType = c.res?.headers.get('content-type');
+    const responseRule = contentType && matchBlockRule(blockRules, {
+        ...request,
+        contentType,
+    });
+    if (responseRule) {
+        c.res.body?.cancel().catch(() => {});
+        c.res = undefined;
+        c.res = blockedResponse(c, responseRule);
+    }
+};
+
+// Response header rules, inside staticCacheMiddleware so cached entries keep the result
+const responseHeaderRules = async (c, next) => {
+    await next();
+
+    const rules = getHeaderRules(c, 'response');
+    if (!c.res || !rules.length) {
+        return;
+    }
+
+    const headers = applyHeaderRules(new Headers(c.res.headers), rules,
+        getHeaderRuleContext(c, c.res.headers.get('content-type') || ''));
+    const response = new Response(c.res.body, {
+        status: c.res.status,
+        statusText: c.res.statusText,
+        headers,
+    });
+
+    // Clear first, otherwise Hono merges the removed headers back in
+    c.res = undefined;
+    c.res = response;
+};
+
+// Body rewriting runs inside the proxy routes, after staticCacheMiddleware,
+// so the cache stores rewritten output instead of redoing the work on every hit
+const rewriteMiddlewares = [
+    htmlInjectMiddleware((c) => c.get('site')?.inject),
+    convertLinkMiddleware(getLinkMappings, {
+        pathPrefix: (c) => c.get('site')?.prefix || '',
+        types: (c) => c.get('site')?.rewriteTypes || REWRITE_TYPES,
+        skip: (c) => c.get('streaming') === true,
+    }),
+];
 
 
 // Health check endpoint
 app.get('/health', (c) => c.text('OK'));
 
+// Constant-time token comparison
+const safeEqual = (actual, expected) => {
+    const a = Buffer.from(actual);
+    const b = Buffer.from(expected);
+    return a.length === b.length && timingSafeEqual(a, b);
+};
+
+// Cache management endpoints need CACHE_CLEAR_TOKEN in a header
+// ("Authorization: Bearer <token>" or "X-Cache-Token: <token>"), never in the URL,
+// or the login session of a named token with the admin scope
+const cacheAdminAuth = async (c, next) => {
+    if (c.get('accessToken')?.admin) {
+        return next();
+    }
+
+    const authorization = c.req.header('authorization') || '';
+    const token = /^Bearer\s+/i.test(authorization) ?
+        authorization.replace(/^Bearer\s+/i, '') :
+        c.req.header('x-cache-token') || '';
+
+    if (!CACHE_CLEAR_TOKEN || !token || !safeEqual(token, CACHE_CLEAR_TOKEN)) {
+        return c.json({
+            error: 'Unauthorized'
+        }, 401);
+    }
+
+    await next();
+};
+
+app.use('/cache/*', cacheAdminAuth);
+
 // Cache management endpoints (only available if cache is enabled)
 app.get('/cache/info', (c) => {
     if (CACHE_STRATEGY === 'off') {
@@ -229,36 +846,281 @@ app.get('/cache/info', (c) => {
         }, 403);
     }
 
-    if (CACHE_CLEAR_TOKEN !== c.req.query('token')) {
-        return c.text('Unauthorized', 401);
-    }
-
+    const tiers = cache.info();
     const cacheInfo = {
-        size: cache.size,
-        max: cache.max,
+        size: tiers.memory.size,
+        maxSize: tiers.memory.maxSize,
         ttl: cache.ttl,
-        calculatedSize: cache.calculatedSize,
+        calculatedSize: tiers.memory.calculatedSize,
         strategy: CACHE_STRATEGY,
         staticOnly: CACHE_STATIC_ONLY,
+        memory: tiers.memory,
+        disk: tiers.disk,
     };
 
     return c.json(cacheInfo);
 });
 
-app.get('/cache/clear', (c) => {
+// Clearing used to be a GET; say so instead of falling through to the proxy routes
+app.get('/cache/clear', (c) => c.json({
+    error: 'Use POST /cache/clear'
+}, 405));
+
+app.post('/cache/clear', async (c) => {
     if (CACHE_STRATEGY === 'off') {
         return c.json({
             error: 'Cache is disabled'
         }, 403);
     }
 
-    cache.clear();
+    await cache.clear();
     return c.json({
         message: 'Cache cleared successfully',
         success: true
     });
 });
 
+// Base cache key of a mirror URL, as staticCacheMiddleware would store it
+const urlToBaseKey = (value) => {
+    let url;
+    try {
+        url = new URL(value);
+    } catch {
+        return null;
+    }
+
+    const site = siteRouter.resolve(url.host, url.pathname);
+    if (!site) {
+        return null;
+    }
+    const external = resolveExternalSite(site, stripSitePrefix(site, url.pathname));
+    if (external === null) {
+        return null;
+    }
+    const keySite = external || site;
+
+    return baseKeyOf(buildCacheKey(keySite.name, url.href, keySite.cacheKey, () => ''));
+};
+
+// Targeted purge, see lib/cache-purge.js for the selection format
+app.post('/cache/purge', async (c) => {
+    if (CACHE_STRATEGY === 'off') {
+        return c.json({
+            error: 'Cache is disabled'
+        }, 403);
+    }
+
+    let selection;
+    try {
+        selection = await c.req.json();
+    } catch {
+        return c.json({
+            error: 'Invalid JSON body'
+        }, 400);
+    }
+
+    let matches;
+    try {
+        matches = compilePurgeSelection(selection, urlToBaseKey);
+    } catch (error) {
+        return c.json({
+            error: error.message
+        }, 400);
+    }
+
+    const keys = [];
+    for (const [key, info] of cache.entries()) {
+        if (matches(key, info)) {
+            keys.push(key);
+        }
+    }
+
+    const dryRun = selection.dryRun === true;
+    if (!dryRun) {
+        for (const key of keys) {
+            await cache.delete(key);
+        }
+    }
+    console.log(`Cache purge: ${keys.length} entries ${dryRun ? 'matched (dry run)' : 'removed'}`);
+
+    return c.json({
+        success: true,
+        dryRun,
+        matched: keys.length,
+        removed: dryRun ? 0 : keys.length,
+        keys: keys.slice(0, 100).map(key => key.replace('cache:', '')),
+    });
+});
+
+// Request a mirror URL through the whole app, as a visitor would
+const internalFetch = async (url) => app.fetch(new Request(url, {
+    headers: {
+        host: new URL(url).host,
+        'user-agent': 'SiteMirror-Prewarm',
+    },
+}), {
+    internal: true
+});
+
+// Mirror URL for a URL listed in a sitemap: mirror URLs stay, origin URLs of the
+// sites mounted on the mirror host are moved onto their prefix
+const createSitemapUrlMapper = (base) => {
+    const mirror = new URL(base);
+
+    return (value) => {
+        let url;
+        try {
+            url = new URL(value, mirror);
+        } catch {
+            return null;
+        }
+        if (url.host === mirror.host) {
+            return url.href;
+        }
+
+        const mount = siteRouter.mounts(mirror.host).find(site => site.origin === url.host);
+        return mount ? `${mirror.origin}${mount.prefix}${url.pathname}${url.search}` : null;
+    };
+};
+
+// Why a prewarm "base" cannot be used, or null. Every prewarm URL stays on the base
+// origin, so it has to be a mirror URL one of the sites serves; with `requestHost`
+// (admin endpoint) it must also be that host or one a site lists by name, since a
+// catch-all site would otherwise fill the cache for any host a caller makes up
+const prewarmBaseError = (base, requestHost) => {
+    let url;
+    try {
+        url = new URL(base);
+    } catch {
+        return `Invalid prewarm "base" ${base}`;
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+        return `Prewarm "base" must be an http(s) URL: ${base}`;
+    }
+    if (!siteRouter.resolve(url.host, url.pathname)) {
+        return `No site serves prewarm "base" ${base}`;
+    }
+
+    const host = url.host.toLowerCase();
+    const hostname = url.hostname.toLowerCase();
+    if (requestHost !== undefined && host !== (requestHost || '').toLowerCase() &&
+        !sites.some(site => site.hosts.some(pattern => pattern !== '*' && matchHost(pattern, host, hostname)))) {
+        return `Prewarm "base" ${base} is not a configured site host`;
+    }
+    return null;
+};
+
+// Startup job; "base" defaults to this server, which only selects a site when there is one
+const prewarmFileSpec = PREWARM_FILE ? JSON.parse(readFileSync(PREWARM_FILE, 'utf-8')) : null;
+if (prewarmFileSpec) {
+    if (!prewarmFileSpec.base && sites.length > 1) {
+        throw new Error(`${PREWARM_FILE} needs "base" when several sites are configured`);
+    }
+    const error = prewarmFileSpec.base && prewarmBaseError(prewarmFileSpec.base);
+    if (error) {
+        throw new Error(`${PREWARM_FILE}: ${error}`);
+    }
+}
+
+// One prewarm job at a time, the last one stays visible in /cache/prewarm
+let prewarmJob = null;
+
+const startPrewarm = (spec) => {
+    prewarmJob = createPrewarmJob(spec, {
+        fetch: internalFetch,
+        toMirrorUrl: createSitemapUrlMapper(spec.base),
+    });
+    prewarmJob.start();
+    console.log(`Cache prewarm started: ${spec.base}`);
+    return prewarmJob;
+};
+
+// Rate limit buckets: requests and bytes per client since the bucket was created,
+// and what is left in each bucket right now
+app.get('/cache/usage', (c) => {
+    const clients = rateLimiter.usage();
+    return c.json({
+        rules: rateLimiter.size,
+        clients: clients.length,
+        usage: clients.slice(0, 100),
+    });
+});
+
+app.get('/cache/prewarm', (c) => c.json(prewarmJob ? prewarmJob.status() : {
+    status: 'idle'
+}));
+
+// Start a prewarm job, see lib/prewarm.js for the job format ("urlsFile" excepted);
+// "base" defaults to this mirror
+app.post('/cache/prewarm', async (c) => {
+    if (CACHE_STRATEGY === 'off') {
+        return c.json({
+            error: 'Cache is disabled'
+        }, 403);
+    }
+
+    if (prewarmJob?.state.status === 'running') {
+        return c.json({
+            error: 'A prewarm job is already running'
+        }, 409);
+    }
+
+    let spec;
+    try {
+        spec = await c.req.json();
+    } catch {
+        return c.json({
+            error: 'Invalid JSON body'
+        }, 400);
+    }
+    if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+        return c.json({
+            error: 'Prewarm job must be a JSON object'
+        }, 400);
+    }
+    // The server would read any file it can and send its lines to the origin as paths,
+    // so URL list files only come from PREWARM_FILE
+    if (spec.urlsFile !== undefined) {
+        return c.json({
+            error: '"urlsFile" is only allowed in PREWARM_FILE, send "urls" instead'
+        }, 400);
+    }
+    if (!spec.sitemap && !spec.urls && !spec.crawl) {
+        return c.json({
+            error: 'Prewarm needs "sitemap", "urls" or "crawl"'
+        }, 400);
+    }
+
+    if (spec.base !== undefined) {
+        const error = prewarmBaseError(spec.base, c.req.header('host'));
+        if (error) {
+            return c.json({
+                error
+            }, 400);
+        }
+    }
+
+    const job = startPrewarm({
+        ...spec,
+        base: spec.base ?? `${getRequestProtocol(c)}://${c.req.header('host')}`,
+    });
+    return c.json(job.status(), 202);
+});
+
+app.delete('/cache/prewarm', (c) => {
+    if (prewarmJob?.state.status !== 'running') {
+        return c.json({
+            error: 'No prewarm job is running'
+        }, 404);
+    }
+
+    prewarmJob.cancel();
+    return c.json({
+        message: 'Prewarm job cancelling',
+        success: true
+    });
+});
+
 app.get('/cache/stats', (c) => {
     if (CACHE_STRATEGY === 'off') {
         return c.json({
@@ -266,27 +1128,269 @@ app.get('/cache/stats', (c) => {
         }, 403);
     }
 
-    const cacheEntries = [];
+    // Variants of the same URL (Vary, key headers/cookies) are grouped together
+    const urls = new Map();
+    let total = 0;
+    const tierCounts = {
+        memory: 0,
+        disk: 0
+    };
 
     for (const [key, value] of cache.entries()) {
         if (key.startsWith('cache:')) {
-            cacheEntries.push({
-                key: key.replace('cache:', ''),
+            total++;
+            tierCounts[value.tier]++;
+
+            const baseKey = baseKeyOf(key);
+            if (!urls.has(baseKey)) {
+                urls.set(baseKey, {
+                    key: baseKey.replace('cache:', ''),
+                    site: value.site,
+                    variants: [],
+                });
+            }
+            urls.get(baseKey).variants.push({
+                variant: key.slice(baseKey.length),
                 contentType: value.contentType,
                 cachedAt: new Date(value.cachedAt).toISOString(),
-                size: value.body ? value.body.length : 0,
+                size: value.size,
+                tier: value.tier,
             });
         }
     }
 
+    const tiers = cache.info();
+
     return c.json({
-        total: cacheEntries.length,
+        total,
+        urls: urls.size,
         strategy: CACHE_STRATEGY,
         staticOnly: CACHE_STATIC_ONLY,
-        entries: cacheEntries.slice(0, 20),
+        memory: {
+            ...tiers.memory,
+            entries: tierCounts.memory,
+        },
+        disk: tiers.disk && {
+            ...tiers.disk,
+            diskOnlyEntries: tierCounts.disk,
+        },
+        entries: [...urls.values()].slice(0, 20),
     });
 });
 
+// Does the client already hold this response (If-None-Match / If-Modified-Since)
+const clientHasCurrent = (c, headers) => {
+    const ifNoneMatch = c.req.header('if-none-match');
+    if (ifNoneMatch) {
+        const etag = headers.get('etag');
+        // Weak comparison, W/"x" matches "x"
+        const opaque = (tag) => tag.trim().replace(/^W\//, '');
+        return ifNoneMatch.trim() === '*' || (!!etag && ifNoneMatch.split(',').some(tag => opaque(tag) === opaque(etag)));
+    }
+
+    const ifModifiedSince = Date.parse(c.req.header('if-modified-since') || '');
+    const lastModified = Date.parse(headers.get('last-modified') || '');
+    return !isNaN(ifModifiedSince) && !isNaN(lastModified) && lastModified <= ifModifiedSince;
+};
+
+// Headers a 304 carries over from the full response
+const NOT_MODIFIED_HEADERS = ['cache-control', 'content-location', 'date', 'etag', 'expires', 'last-modified', 'vary',
+    'x-cache', 'x-cache-key', 'x-cache-strategy'];
+
+// Answer the client with 304 when it already holds the response
+const notModifiedResponse = (c, response) => {
+    if (response.status !== 200 || !clientHasCurrent(c, response.headers)) {
+        return response;
+    }
+
+    response.body?.cancel();
+    const headers = new Headers();
+    for (const name of NOT_MODIFIED_HEADERS) {
+        const value = response.headers.get(name);
+        if (value !== null) {
+            headers.set(name, value);
+        }
+    }
+
+    return new Response(null, {
+        status: 304,
+        headers,
+    });
+};
+
+// Body size of a cache entry; large entries are files on the disk tier
+const entryBodySize = (cached) => cached.bodyFile ? cached.size : cached.body.length;
+
+// Body of a cache entry, or only the bytes of `range`
+const entryBody = (cached, range) => {
+    if (cached.bodyFile) {
+        return Readable.toWeb(createReadStream(cached.bodyFile, range || {}));
+    }
+    return range ? cached.body.subarray(range.start, range.end + 1) : cached.body;
+};
+
+// Build the client response for a cache entry, xCache is HIT, STALE or REVALIDATED.
+// A Range request (single range, If-Range honoured) gets 206 or 416
+const cachedResponse = (c, cached, xCache, cacheKey) => {
+    const responseHeaders = new Headers(cached.headers);
+    responseHeaders.set('X-Cache', xCache);
+    responseHeaders.set('X-Cache-Key', cacheKey);
+    responseHeaders.set('X-Cache-Strategy', CACHE_STRATEGY);
+
+    if (cached.status !== 200) {
+        return new Response(cached.body, {
+            status: cached.status,
+            statusText: cached.statusText,
+            headers: responseHeaders,
+        });
+    }
+
+    const size = entryBodySize(cached);
+    responseHeaders.set('Accept-Ranges', 'bytes');
+
+    if (clientHasCurrent(c, responseHeaders)) {
+        return notModifiedResponse(c, new Response(null, {
+            status: 200,
+            headers: responseHeaders,
+        }));
+    }
+
+    const range = c.req.method === 'GET' && ifRangeMatches(c.req.header('if-range'), cached.headers.etag, cached.headers['last-modified']) ?
+        parseRange(c.req.header('range'), size) : null;
+
+    if (range === false) {
+        responseHeaders.delete('content-type');
+        responseHeaders.set('Content-Range', `bytes */${size}`);
+        return new Response(null, {
+            status: 416,
+            headers: responseHeaders,
+        });
+    }
+
+    if (range) {
+        responseHeaders.set('Content-Range', `bytes ${range.start}-${range.end}/${size}`);
+        responseHeaders.set('Content-Length', String(range.end - range.start + 1));
+        return new Response(entryBody(cached, range), {
+            status: 206,
+            headers: responseHeaders,
+        });
+    }
+
+    responseHeaders.set('Content-Length', String(size));
+    return new Response(entryBody(cached), {
+        status: cached.status,
+        statusText: cached.statusText,
+        headers: responseHeaders,
+    });
+};
+
+// Headers of an origin 304 that update the stored entry
+const REVALIDATION_UPDATE_HEADERS = ['cache-control', 'expires', 'etag', 'last-modified'];
+
+// The origin confirmed the stored copy (304): keep the body, take the new
+// validators and Cache-Control, and start a new lifetime
+const refreshCacheEntry = (cacheKey, cached, notModified) => {
+    const headers = {
+        ...cached.headers
+    };
+    for (const name of REVALIDATION_UPDATE_HEADERS) {
+        const value = notModified.headers.get(name);
+        if (value !== null) {
+            headers[name] = value;
+        }
+    }
+
+    const refreshed = {
+        ...cached,
+        headers,
+        ...getCacheLifetime(headers['cache-control'] || ''),
+    };
+    cache.set(cacheKey, refreshed);
+    return refreshed;
+};
+
+// Request headers that must not reach the origin when the mirror refreshes an entry itself
+const REFRESH_SKIP_HEADERS = ['if-none-match', 'if-modified-since', 'if-range', 'range', 'accept-encoding'];
+
+// Cache keys being refreshed in the background, so an expired entry is fetched once
+const revalidating = new Set();
+
+// Replay the request through the whole app (site, auth, header rules, rewriting) with
+// the cache lookup skipped; staticCacheMiddleware stores the fresh response
+const revalidateInBackground = (c, cacheKey) => {
+    if (revalidating.has(cacheKey)) {
+        return;
+    }
+    revalidating.add(cacheKey);
+
+    const headers = new Headers(c.req.raw.headers);
+    REFRESH_SKIP_HEADERS.forEach(name => headers.delete(name));
+
+    Promise.resolve(app.fetch(new Request(c.req.url, {
+            headers
+        }), {
+            cacheRefresh: true
+        }))
+        .then(async (response) => {
+            // The cache is filled as the body is read, so read it to the end
+            await response.body?.pipeTo(new WritableStream());
+            console.log(`Cache revalidated: ${c.req.url} (Status: ${response.status})`);
+        })
+        .catch((error) => {
+            console.error('Error revalidating cache entry:', error);
+        })
+        .finally(() => revalidating.delete(cacheKey));
+};
+
+// Misses being fetched from the origin, so concurrent requests for the same key share
+// one upstream request: cacheKey -> Promise<{ entry, storeKey, varyNames, xCache } | null>,
+// settled as soon as the leading request has the response headers. While the body is
+// still filling the cache `entry` is a promise of the stored entry (null if the fill
+// fails); the whole result is null when the response cannot be shared (not cacheable, error)
+const inflight = new Map();
+
+// The cache fill only goes as fast as the leading client reads, so a waiting request
+// gives up on it after this long (ms) and fetches the body from the origin itself
+const COALESCE_FILL_WAIT = 1000;
+
+// Register the current request as the one fetching cacheKey, returns the function
+// that hands its outcome to the waiting requests. The key stays taken until the
+// cache fill is complete, so later requests wait on the same fill
+const leadFetch = (cacheKey) => {
+    let settle;
+    const pending = new Promise(resolve => settle = resolve);
+    inflight.set(cacheKey, pending);
+    const release = () => {
+        if (inflight.get(cacheKey) === pending) {
+            inflight.delete(cacheKey);
+        }
+    };
+
+    return (result) => {
+        if (settle) {
+            settle(result);
+            settle = null;
+            if (result?.entry instanceof Promise) {
+                result.entry.finally(release);
+            } else {
+                release();
+            }
+        }
+    };
+};
+
+// The entry once `entry` resolves, null if that takes longer than `ms`
+const settledWithin = (entry, ms) => {
+    if (!(entry instanceof Promise)) {
+        return Promise.resolve(entry);
+    }
+    let timer;
+    return Promise.race([
+        entry,
+        new Promise(resolve => timer = setTimeout(resolve, ms, null)),
+    ]).finally(() => clearTimeout(timer));
+};
+
 // Static resource cache middleware
 const staticCacheMiddleware = async (c, next) => {
     // Skip cache if disabled
@@ -304,55 +1408,216 @@ const staticCacheMiddleware = async (c, next) => {
         return next();
     }
 
-    const cacheKey = `cache:${c.req.url}`;
-    const cached = cache.get(cacheKey);
-
-    if (cached) {
+    const site = c.get('site');
+    const getHeader = (name) => c.req.header(name);
+    const baseKey = buildCacheKey(site.name, c.req.url, site.cacheKey, getHeader);
+    // Vary header names the origin sent last time for this URL
+    const varyEntry = await cache.get(varyKey(baseKey));
+    const cacheKey = variantKey(baseKey, varyEntry ? parseVary(varyEntry.headers.vary) || [] : [], getHeader);
+    // Background refreshes always go to the origin
+    const isRefresh = c.env?.cacheRefresh === true;
+    // Range requests go to the origin on their own: they neither wait for nor
+    // lead a full fetch that could take as long as the whole file
+    const isRange = !!c.req.header('range');
+    // Same for streams, which may never finish
+    const isStream = acceptsStreaming(c);
+    const cached = await cache.get(cacheKey);
+    const now = Date.now();
+
+    if (!isRefresh && cached && now < cached.expiresAt) {
         console.log(`Cache HIT: ${c.req.url} (Content-Type: ${cached.contentType})`);
+        return cachedResponse(c, cached, 'HIT', cacheKey);
+    }
 
-        const responseHeaders = new Headers(cached.headers);
-        responseHeaders.set('X-Cache', 'HIT');
-        responseHeaders.set('X-Cache-Key', cacheKey);
-        responseHeaders.set('X-Cache-Strategy', CACHE_STRATEGY);
+    if (!isRefresh && cached && now < cached.staleWhileRevalidateUntil) {
+        console.log(`Cache STALE: ${c.req.url} (revalidating in background)`);
+        revalidateInBackground(c, cacheKey);
+        return cachedResponse(c, cached, 'STALE', cacheKey);
+    }
 
-        const response = new Response(cached.body, {
-            status: cached.status,
-            statusText: cached.statusText,
-            headers: responseHeaders,
+    // Another request is already fetching this key: wait for it instead of going upstream.
+    // Its response is only reused when it is the variant this request would get
+    let waited = false;
+    if (!isRefresh && !isRange && !isStream && inflight.has(cacheKey)) {
+        waited = true;
+        const shared = await inflight.get(cacheKey);
+        if (shared && variantKey(baseKey, shared.varyNames, getHeader) === shared.storeKey) {
+            const entry = await settledWithin(shared.entry, COALESCE_FILL_WAIT);
+            if (entry) {
+                console.log(`Cache COALESCED: ${c.req.url}`);
+                return cachedResponse(c, entry, shared.xCache, shared.storeKey);
+            }
+            console.log(`Cache fill still running: ${c.req.url} (fetching from origin)`);
+        }
+    }
+
+    const varyNamesOf = (entry) => parseVary(entry.headers.vary) || [];
+    // A request that gave up waiting does not take the key over from the running fill
+    const share = waited || inflight.has(cacheKey) || isRange || isStream ? () => {} : leadFetch(cacheKey);
+    // Set once the outcome is handed over asynchronously (cache fill)
+    let sharing = false;
+
+    // The origin is asked with the validators of the mirror's own copy instead of
+    // the browser's, so a 304 refreshes the entry and a 200 can fill the cache
+    c.set('cacheValidators', {
+        etag: cached?.headers.etag,
+        lastModified: cached?.headers['last-modified'],
+    });
+
+    // Past the revalidation window the origin is asked first, with a shorter timeout,
+    // and the expired copy is the fallback if it fails
+    const fallback = cached && now < cached.staleIfErrorUntil ? cached : null;
+    if (fallback) {
+        c.set('originTimeout', CACHE_STALE_TIMEOUT);
+    }
+
+    try {
+        await next();
+    } catch (error) {
+        share(null);
+        throw error;
+    }
+
+    if (fallback && c.res.status >= 500) {
+        console.log(`Cache STALE: ${c.req.url} (origin error ${c.res.status})`);
+        share({
+            entry: fallback,
+            storeKey: cacheKey,
+            varyNames: varyNamesOf(fallback),
+            xCache: 'STALE',
         });
+        c.res = undefined;
+        c.res = cachedResponse(c, fallback, 'STALE', cacheKey);
+        return;
+    }
 
-        return response;
+    if (cached && c.res.status === 304) {
+        console.log(`Cache REVALIDATED: ${c.req.url}`);
+        const refreshed = refreshCacheEntry(cacheKey, cached, c.res);
+        share({
+            entry: refreshed,
+            storeKey: cacheKey,
+            varyNames: varyNamesOf(refreshed),
+            xCache: 'COALESCED',
+        });
+        c.res = undefined;
+        c.res = cachedResponse(c, refreshed, 'REVALIDATED', cacheKey);
+        return;
     }
 
-    await next();
+    // Partial content from the origin is passed through as it is and never stored;
+    // the full body is fetched in the background when it could be cached
+    if (c.res && c.res.status === 206) {
+        const total = contentRangeTotal(c.res.headers.get('content-range'));
+        const storable = total !== null && (!!CACHE_DIR || total <= CACHE_MEMORY_MAX_ENTRY_SIZE);
+        if (!isRefresh && storable && !c.res.headers.has('set-cookie') && !inflight.has(cacheKey) &&
+            shouldCacheResponse(c.req.path, c.res.headers.get('content-type') || '', c.res.headers.get('cache-control') || '')) {
+            console.log(`Cache fill: ${c.req.url} (partial response, fetching ${total} bytes in background)`);
+            revalidateInBackground(c, cacheKey);
+        }
+    }
 
     if (c.res && c.res.status === 200) {
         try {
-            const response = c.res.clone();
+            const response = c.res;
             const contentType = response.headers.get('content-type') || '';
             const cacheControl = response.headers.get('cache-control') || '';
             const path = c.req.path;
 
-            // Check if response should be cached based on strategy
-            const shouldCache = shouldCacheResponse(path, contentType, cacheControl);
+            // Check if response should be cached based on strategy; responses that
+            // set cookies belong to one visitor and are never shared through the cache
+            const setsCookie = response.headers.has('set-cookie');
+            // "Vary: *" (null) cannot be cached
+            const varyNames = parseVary(response.headers.get('vary'));
+            // A stream has no end to wait for before storing it
+            const streaming = c.get('streaming') === true;
+            const shouldCache = !setsCookie && !!varyNames && !streaming && shouldCacheResponse(path, contentType, cacheControl);
 
             if (shouldCache) {
-                const body = await response.arrayBuffer();
+                const storeKey = variantKey(baseKey, varyNames, getHeader);
+                const lifetime = getCacheLifetime(cacheControl);
+
+                // Remember which request headers select the variant
+                if (varyNames.length) {
+                    cache.set(varyKey(baseKey), {
+                        site: site.name,
+                        body: new Uint8Array(0),
+                        contentType: '',
+                        status: 0,
+                        statusText: '',
+                        headers: {
+                            vary: varyNames.join(', ')
+                        },
+                        ...lifetime,
+                    });
+                } else if (varyEntry) {
+                    cache.delete(varyKey(baseKey));
+                }
 
-                cache.set(cacheKey, {
-                    body: new Uint8Array(body),
+                // Fill the cache while the body streams to the client, chunk by chunk, so
+                // neither side buffers the whole body; large bodies go straight to disk.
+                // Concurrent requests for the key wait a little for it to complete
+                sharing = true;
+                const writer = cache.createWriter(storeKey, {
+                    site: site.name,
                     contentType,
                     status: response.status,
                     statusText: response.statusText,
                     headers: Object.fromEntries(response.headers.entries()),
-                    cachedAt: Date.now(),
+                    ...lifetime,
                 });
-
-                console.log(`Cached resource: ${c.req.url} (Strategy: ${CACHE_STRATEGY}, Static: ${isStaticResource(path, contentType)})`);
+                let filled;
+                share({
+                    entry: new Promise(resolve => filled = resolve),
+                    storeKey,
+                    varyNames,
+                    xCache: 'COALESCED',
+                });
+                let finished = false;
+                const finish = (entry) => {
+                    if (finished) {
+                        return;
+                    }
+                    finished = true;
+                    filled(entry);
+                    if (entry) {
+                        console.log(`Cached resource: ${c.req.url} (Strategy: ${CACHE_STRATEGY}, Static: ${isStaticResource(path, contentType)}${entry.bodyFile ? ', on disk' : ''})`);
+                    } else {
+                        console.log(`Cache skipped: ${c.req.url} (body not stored)`);
+                    }
+                };
+                const reader = response.body ? response.body.getReader() : null;
+                const body = reader ? new ReadableStream({
+                    async pull(controller) {
+                        try {
+                            const { value, done } = await reader.read();
+                            if (done) {
+                                controller.close();
+                                finish(await writer.end());
+                                return;
+                            }
+                            await writer.write(value);
+                            controller.enqueue(value);
+                        } catch (error) {
+                            writer.abort();
+                            finish(null);
+                            controller.error(error);
+                        }
+                    },
+                    // Client went away: the body is incomplete, nothing is stored
+                    cancel(reason) {
+                        writer.abort();
+                        finish(null);
+                        return reader.cancel(reason);
+                    },
+                }) : null;
+                if (!reader) {
+                    writer.end().then(finish);
+                }
 
                 const newHeaders = new Headers(c.res.headers);
                 newHeaders.set('X-Cache', 'MISS (Cached)');
-                newHeaders.set('X-Cache-Key', cacheKey);
+                newHeaders.set('X-Cache-Key', storeKey);
                 newHeaders.set('X-Cache-Strategy', CACHE_STRATEGY);
 
                 // Set appropriate cache headers based on strategy
@@ -365,21 +1630,25 @@ const staticCacheMiddleware = async (c, next) => {
                     // Otherwise keep original cache-control
                 }
 
-                c.res = new Response(c.res.body, {
-                    status: c.res.status,
-                    statusText: c.res.statusText,
+                c.res = undefined;
+                c.res = new Response(body, {
+                    status: response.status,
+                    statusText: response.statusText,
                     headers: newHeaders,
                 });
             } else {
                 const newHeaders = new Headers(c.res.headers);
                 newHeaders.set('X-Cache', 'BYPASS');
                 newHeaders.set('X-Cache-Strategy', CACHE_STRATEGY);
-                newHeaders.set('X-Cache-Reason', CACHE_STRATEGY === 'off' ? 'disabled' :
+                newHeaders.set('X-Cache-Reason', setsCookie ? 'set-cookie' :
+                    !varyNames ? 'vary' :
+                    streaming ? 'streaming' :
+                    CACHE_STRATEGY === 'off' ? 'disabled' :
                     CACHE_STATIC_ONLY && !isStaticResource(path, contentType) ? 'non-static' :
                     'cache-control-forbidden');
 
                 // Ensure no caching when strategy forbids it
-                if (!shouldCache) {
+                if (!streaming) {
                     newHeaders.set('Cache-Control', 'no-cache, no-store, must-revalidate');
                 }
 
@@ -389,16 +1658,52 @@ const staticCacheMiddleware = async (c, next) => {
                     headers: newHeaders,
                 });
 
+                // The origin no longer allows caching, drop the copy being refreshed
+                if (isRefresh) {
+                    cache.delete(cacheKey);
+                }
+
                 console.log(`Cache bypass: ${c.req.url} (Reason: ${newHeaders.get('X-Cache-Reason')})`);
             }
         } catch (error) {
             console.error('Error processing cache response:', error);
         }
+    } else if (isRefresh && c.res && c.res.status < 500) {
+        // Gone or changed into something uncacheable; origin errors keep the copy for stale-if-error
+        cache.delete(cacheKey);
+    }
+
+    // Nothing to share, waiting requests go to the origin themselves
+    if (!sharing) {
+        share(null);
+    }
+
+    if (c.res && c.res.status === 200 && clientHasCurrent(c, c.res.headers)) {
+        const full = c.res;
+        c.res = undefined;
+        c.res = notModifiedResponse(c, new Response(null, {
+            status: 200,
+            headers: full.headers,
+        }));
+        // The client does not need the body, but the cache fill reads it through this stream
+        full.body?.pipeTo(new WritableStream()).catch(() => {});
     }
 };
 
+// Map a mirror URL (Referer/Origin) back to the origin it was served from
+const toOriginUrl = (value, site, mirrorOrigin) => {
+    const mirrorBase = `${mirrorOrigin}${site.prefix}`;
+    if (value === mirrorOrigin || value === mirrorBase) {
+        return `${site.protocol}://${site.origin}`;
+    }
+    if (value.startsWith(`${mirrorBase}/`) || value.startsWith(`${mirrorBase}?`)) {
+        return `${site.protocol}://${site.origin}${value.slice(mirrorBase.length)}`;
+    }
+    return value;
+};
+
 // Request header processing function
-const processHeaders = (originalHeaders) => {
+const processHeaders = (originalHeaders, site, mirrorOrigin) => {
     const headers = {};
     const disableCookie = typeof DISABLE_COOKIE !== 'undefined' ? DISABLE_COOKIE : false;
 
@@ -406,21 +1711,19 @@ const processHeaders = (originalHeaders) => {
         const lowerKey = key.toLowerCase();
 
         if (lowerKey === 'host') {
-            headers['host'] = ORIGIN_SERVER;
+            headers['host'] = site.origin;
+        } else if (lowerKey === 'referer' || lowerKey === 'origin') {
+            headers[key] = mirrorOrigin ? toOriginUrl(value, site, mirrorOrigin) : value;
         } else if (!['accept-encoding', 'connection', 'keep-alive', 'content-length'].includes(lowerKey)) {
             // 处理cookie
             if (lowerKey === 'cookie') {
-                if (!disableCookie) {
-                    // 移除_access_token
-                    const cookieString = value;
-                    const filteredCookies = cookieString
-                        .split(';')
-                        .map(cookie => cookie.trim())
-                        .filter(cookie => {
-                            const [cookieName] = cookie.split('=');
-                            return cookieName.trim() !== '_access_token';
-                        })
-                        .join('; ');
+                // 不把镜像站的 cookie 发给第三方域名
+                if (!disableCookie && !site.external) {
+                    // 移除镜像站自己的 cookie（如 _access_token），只转发站点命名空间下的 cookie
+                    const filteredCookies = filterRequestCookies(value, {
+                        mirrorCookies: MIRROR_COOKIES,
+                        namePrefix: site.cookiePrefix,
+                    });
 
                     if (filteredCookies) {
                         headers[key] = filteredCookies;
@@ -436,33 +1739,55 @@ const processHeaders = (originalHeaders) => {
 };
 
 
+// Set-Cookie rewriting options for the current request
+const getCookieOptions = (c) => {
+    const site = c.get('site');
+    const protocol = getRequestProtocol(c);
+
+    return {
+        // Third-party domains never set cookies on the mirror host
+        drop: !!site.external,
+        domain: COOKIE_DOMAIN,
+        stripSecure: COOKIE_SECURE === 'strip' || (COOKIE_SECURE === 'auto' && protocol !== 'https'),
+        pathPrefix: site.prefix,
+        namePrefix: site.cookiePrefix,
+    };
+};
+
 // Process response headers
-const processResponseHeaders = (originalHeaders) => {
+const processResponseHeaders = (originalHeaders, cookieOptions = null) => {
     const headers = new Headers();
 
+    const appendHeader = (key, value) => {
+        const lowerKey = key.toLowerCase();
+        if (['content-encoding', 'transfer-encoding', 'content-length'].includes(lowerKey)) {
+            return;
+        }
+        if (lowerKey === 'set-cookie' && cookieOptions) {
+            if (!cookieOptions.drop) {
+                headers.append(key, rewriteSetCookie(value, cookieOptions));
+            }
+            return;
+        }
+        headers.append(key, value);
+    };
+
     if (originalHeaders) {
-        if (typeof originalHeaders.entries === 'function') {
+        if (typeof originalHeaders.entries === 'function' && !(originalHeaders instanceof Map)) {
             for (const [key, value] of originalHeaders.entries()) {
-                if (!['content-encoding', 'transfer-encoding', 'content-length'].includes(key.toLowerCase())) {
-                    headers.set(key, value);
-                }
+                appendHeader(key, value);
             }
         } else if (typeof originalHeaders === 'object' && !(originalHeaders instanceof Map)) {
             for (const [key, value] of Object.entries(originalHeaders)) {
-                const lowerKey = key.toLowerCase();
-                if (!['content-encoding', 'transfer-encoding', 'content-length'].includes(lowerKey)) {
-                    if (Array.isArray(value)) {
-                        value.forEach(v => headers.append(key, v));
-                    } else {
-                        headers.set(key, value);
-                    }
+                if (Array.isArray(value)) {
+                    value.forEach(v => appendHeader(key, v));
+                } else {
+                    appendHeader(key, value);
                 }
             }
         } else if (originalHeaders instanceof Map) {
             for (const [key, value] of originalHeaders) {
-                if (!['content-encoding', 'transfer-encoding', 'content-length'].includes(key.toLowerCase())) {
-                    headers.set(key, value);
-                }
+                appendHeader(key, value);
             }
         }
     }
@@ -470,52 +1795,250 @@ const processResponseHeaders = (originalHeaders) => {
     return headers;
 };
 
+// Redirect response that keeps the origin headers (Set-Cookie on login redirects)
+const redirectResponse = async (response, location, c) => {
+    await response.body.dump();
+
+    const headers = processResponseHeaders(response.headers, getCookieOptions(c));
+    headers.set('Location', location);
+
+    return new Response(null, {
+        status: response.statusCode,
+        statusText: response.statusMessage,
+        headers,
+    });
+};
+
 // Fix redirect URL function
 const fixRedirectUrl = (location, c) => {
     if (!location) return null;
 
+    const site = c.get('site');
     const url = new URL(c.req.url)
     const protocol = url.protocol.replace(':', '')
     const host = url.host
 
     try {
-        if (location.startsWith('http://') || location.startsWith('https://')) {
-            if (location.includes(ORIGIN_SERVER)) {
-                return location.replace(
-                    `${PROTOCOL}://${ORIGIN_SERVER}`,
-                    `${protocol}://${host}`
-                );
-            }
-            return location;
+        // Resolve relative locations against the upstream URL, then map any
+        // origin mounted on this host (including other sites) back to its prefix
+        const upstreamUrl = `${site.protocol}://${site.origin}${stripSitePrefix(site, url.pathname)}`;
+        const target = new URL(location, upstreamUrl);
+        const mapping = getLinkMappings(c).find(m => m.origin !== '*' && matchHost(m.origin, target.host));
+
+        if (mapping) {
+            const mirrorBase = mapping.target.replace(/^HOST/, host).replace('{host}', target.host);
+            return `${protocol}://${mirrorBase}${target.pathname}${target.search}${target.hash}`;
         }
-
-        const path = location.startsWith('/') ? location : `/${location}`;
-        return `${protocol}://${host}${path}`;
+        return target.href;
     } catch (error) {
         console.error('Redirect URL fix error:', error, 'Original location:', location);
         return null;
     }
 };
 
+// Send a request to the site's origin. In replay mode the response comes from the
+// WARC archive and the pool is never used; in record mode the exchange is written
+// to the archive once its body has been read.
+const originRequest = async (site, options) => {
+    // The handlers always append "?", even without a query
+    const url = `${site.protocol}://${site.origin}${options.path.replace(/\?$/, '')}`;
+
+    if (warcArchive) {
+        const archived = await warcArchive.lookup(options.method, url);
+        if (!archived) {
+            throw new HTTPException(404, {
+                message: 'Not archived'
+            });
+        }
+        return archived;
+    }
+
+    if (!warcWriter) {
+        return site.pool.request(options);
+    }
+
+    // Request bodies are small (bodyLimit), keep a copy for the request record
+    const requestBody = options.body ? Buffer.from(await new Response(options.body).arrayBuffer()) : null;
+    const response = await site.pool.request({
+        ...options,
+        body: requestBody,
+    });
+    // A stream would be held in memory until it ends, which may be never
+    if (isStreamingType(response.headers['content-type'])) {
+        return response;
+    }
+    return warcWriter.recordResponse(response, {
+        url,
+        method: options.method,
+        path: options.path,
+        requestHeaders: options.headers,
+        requestBody,
+    });
+};
+
+// WebSocket handshakes come in through the server's 'upgrade' event (handleUpgrade) and
+// run through the app like any GET, so site selection, token auth and header rules
+// apply; this middleware then opens the upgraded connection to the origin and joins
+// the two sockets. c.env.upgrade = { socket, head, handled }
+const webSocketProxy = async (c, next) => {
+    const upgrade = c.env?.upgrade;
+    if (!upgrade) {
+        return next();
+    }
+
+    if (warcArchive) {
+        throw new HTTPException(501, {
+            message: 'WebSocket is not available in replay mode'
+        });
+    }
+
+    const site = c.get('site');
+    const queryString = c.req.queries() ? `?${new URLSearchParams(c.req.queries()).toString()}` : '';
+    const targetPath = encodePath(stripSitePrefix(site, c.req.path)) + queryString;
+
+    console.log(`Proxying WebSocket: ${targetPath}`);
+
+    // Cookie filtering and Host / Origin rewriting as for HTTP; undici sets Upgrade itself
+    const headers = processHeaders(c.req.raw.headers, site, new URL(c.req.url).origin);
+    headers.delete('upgrade');
+    applyHeaderRules(headers, getHeaderRules(c, 'request'), getHeaderRuleContext(c));
+
+    let upstream;
+    try {
+        upstream = await site.pool.upgrade({
+            path: targetPath,
+            method: 'GET',
+            headers,
+            protocol: 'websocket',
+        });
+    } catch (error) {
+        console.error('WebSocket proxy error:', error);
+        throw new HTTPException(502, {
+            message: 'Bad Gateway'
+        });
+    }
+
+    const { socket, head } = upgrade;
+    if (socket.destroyed) {
+        upstream.socket.destroy();
+        return c.body(null);
+    }
+    upgrade.handled = true;
+
+    const responseHeaders = processResponseHeaders(upstream.headers, getCookieOptions(c));
+    const lines = ['HTTP/1.1 101 Switching Protocols'];
+    for (const [name, value] of responseHeaders) {
+        lines.push(`${name}: ${value}`);
+    }
+    socket.write(`${lines.join('\r\n')}\r\n\r\n`);
+
+    if (head?.length) {
+        upstream.socket.write(head);
+    }
+    upstream.socket.pipe(socket);
+    socket.pipe(upstream.socket);
+
+    const close = () => {
+        socket.destroy();
+        upstream.socket.destroy();
+    };
+    socket.on('error', close);
+    socket.on('close', close);
+    upstream.socket.on('error', close);
+    upstream.socket.on('close', close);
+
+    // The client already has its 101; this response only ends the middleware chain
+    return c.body(null);
+};
+
+// Server 'upgrade' listener: the handshake goes through the app, webSocketProxy takes
+// the socket over; any other answer (setup page, unknown site, errors) is written back
+const handleUpgrade = async (req, socket, head) => {
+    const upgrade = {
+        socket,
+        head,
+        handled: false
+    };
+    socket.on('error', () => socket.destroy());
+
+    try {
+        const headers = new Headers();
+        for (const [name, value] of Object.entries(req.headers)) {
+            headers.append(name, Array.isArray(value) ? value.join(', ') : value);
+        }
+        const protocol = req.socket.encrypted ? 'https' : 'http';
+        const response = await app.fetch(new Request(`${protocol}://${req.headers.host || 'localhost'}${req.url}`, {
+            headers
+        }), {
+            incoming: req,
+            upgrade,
+        });
+
+        if (upgrade.handled || socket.destroyed) {
+            return;
+        }
+
+        const body = Buffer.from(await response.arrayBuffer());
+        const lines = [`HTTP/1.1 ${response.status} ${STATUS_CODES[response.status] || ''}`.trimEnd()];
+        for (const [name, value] of response.headers) {
+            if (!['content-length', 'transfer-encoding', 'connection'].includes(name)) {
+                lines.push(`${name}: ${value}`);
+            }
+        }
+        lines.push(`content-length: ${body.length}`, 'connection: close');
+        socket.end(Buffer.concat([Buffer.from(`${lines.join('\r\n')}\r\n\r\n`), body]));
+    } catch (error) {
+        console.error('WebSocket upgrade error:', error);
+        socket.destroy();
+    }
+};
+
+// Streaming responses go out chunk by chunk as they arrive: the middlewares that
+// compress, rewrite or cache bodies leave them alone, and a proxy in front (nginx)
+// is told not to buffer them either
+const markStreaming = (c, headers) => {
+    c.set('streaming', true);
+    headers.set('Cache-Control', 'no-cache');
+    headers.set('X-Accel-Buffering', 'no');
+};
+
 // Main proxy logic - GET requests
-app.get('*', staticCacheMiddleware, async (c) => {
+app.get('*', blockRequests, webSocketProxy, staticCacheMiddleware, responseHeaderRules, ...rewriteMiddlewares, async (c) => {
     if (c.req.path === '/health' || c.req.path.startsWith('/cache/')) {
         return;
     }
 
+    const site = c.get('site');
     const queryString = c.req.queries() ? `?${new URLSearchParams(c.req.queries()).toString()}` : '';
-    const encodedPath = encodePath(c.req.path);
+    const encodedPath = encodePath(stripSitePrefix(site, c.req.path));
     const targetPath = encodedPath + queryString;
 
     console.log(`Proxying GET: ${targetPath}`);
 
     try {
-        const headers = processHeaders(c.req.raw.headers);
-        const response = await originPool.request({
+        const headers = processHeaders(c.req.raw.headers, site, new URL(c.req.url).origin);
+        // Set by staticCacheMiddleware: conditionals come from the cached copy, not the browser
+        const validators = c.get('cacheValidators');
+        if (validators) {
+            headers.delete('if-none-match');
+            headers.delete('if-modified-since');
+            if (validators.etag) {
+                headers.set('if-none-match', validators.etag);
+            }
+            if (validators.lastModified) {
+                headers.set('if-modified-since', validators.lastModified);
+            }
+        }
+        applyHeaderRules(headers, getHeaderRules(c, 'request'), getHeaderRuleContext(c));
+        const response = await originRequest(site, {
             path: targetPath,
             method: 'GET',
             headers,
             body: null,
+            // Shortened by staticCacheMiddleware when a stale copy can be served instead
+            headersTimeout: c.get('originTimeout') ?? c.get('requestTimeout'),
+            // Streams may stay quiet for a long time between events
+            bodyTimeout: c.get('requestTimeout') === 0 ? 0 : undefined,
         });
 
         // console.log(response)
@@ -525,7 +2048,7 @@ app.get('*', staticCacheMiddleware, async (c) => {
             if (location) {
                 const fixedLocation = fixRedirectUrl(location, c);
                 if (fixedLocation) {
-                    return Response.redirect(fixedLocation, response.statusCode);
+                    return redirectResponse(response, fixedLocation, c);
                 }
             }
         }
@@ -534,15 +2057,17 @@ app.get('*', staticCacheMiddleware, async (c) => {
             return new Response(null, {
                 status: 304,
                 statusText: response.statusMessage,
-                headers: processResponseHeaders(response.headers),
+                headers: processResponseHeaders(response.headers, getCookieOptions(c)),
             });
         }
 
-        const responseHeaders = processResponseHeaders(response.headers);
+        const responseHeaders = processResponseHeaders(response.headers, getCookieOptions(c));
 
         // Set cache headers based on strategy
         const contentType = response.headers['content-type'] || '';
-        if (CACHE_STRATEGY === 'force' && isStaticResource(c.req.path, contentType)) {
+        if (isStreamingType(contentType)) {
+            markStreaming(c, responseHeaders);
+        } else if (CACHE_STRATEGY === 'force' && isStaticResource(c.req.path, contentType)) {
             responseHeaders.set('Cache-Control', `public, max-age=${CACHE_TTL}`);
         } else if (CACHE_STRATEGY === 'auto') {
             // Keep original cache-control headers
@@ -559,9 +2084,12 @@ app.get('*', staticCacheMiddleware, async (c) => {
             headers: responseHeaders,
         });
     } catch (error) {
+        if (error instanceof HTTPException) {
+            throw error;
+        }
         console.error('Proxy error:', error);
 
-        if (error.code === 'UND_ERR_SOCKET_TIMEOUT' || error.message.includes('timeout')) {
+        if (['UND_ERR_SOCKET_TIMEOUT', 'UND_ERR_HEADERS_TIMEOUT'].includes(error.code) || error.message.includes('timeout')) {
             throw new HTTPException(504, {
                 message: 'Gateway Timeout'
             });
@@ -575,12 +2103,15 @@ app.get('*', staticCacheMiddleware, async (c) => {
 
 // Handle non-GET requests
 app.all('*',
+    blockRequests,
     bodyLimit({
         maxSize: 50 * 1024, // 50kb
         onError: (c) => {
             return c.text('overflow :(', 413)
         },
     }),
+    responseHeaderRules,
+    ...rewriteMiddlewares,
     async (c) => {
         if (c.req.method === 'GET') {
             return;
@@ -590,25 +2121,29 @@ app.all('*',
             return;
         }
 
-        const targetPath = encodePath(c.req.path);
+        const site = c.get('site');
+        const targetPath = encodePath(stripSitePrefix(site, c.req.path));
         const queryString = c.req.queries() ? `?${new URLSearchParams(c.req.queries()).toString()}` : '';
         const fullPath = targetPath + queryString;
 
         console.log(`Proxying ${c.req.method}: ${fullPath}`);
 
         try {
-            const headers = processHeaders(c.req.raw.headers);
+            const headers = processHeaders(c.req.raw.headers, site, new URL(c.req.url).origin);
+            applyHeaderRules(headers, getHeaderRules(c, 'request'), getHeaderRuleContext(c));
             let body = null;
 
             if (c.req.body) {
                 body = c.req.raw.body;
             }
 
-            const response = await originPool.request({
+            const response = await originRequest(site, {
                 path: fullPath,
                 method: c.req.method,
                 headers,
                 body,
+                headersTimeout: c.get('requestTimeout'),
+                bodyTimeout: c.get('requestTimeout') === 0 ? 0 : undefined,
             });
 
             if (response.statusCode >= 300 && response.statusCode < 400) {
@@ -616,7 +2151,7 @@ app.all('*',
                 if (location) {
                     const fixedLocation = fixRedirectUrl(location, c);
                     if (fixedLocation) {
-                        return Response.redirect(fixedLocation, response.statusCode);
+                        return redirectResponse(response, fixedLocation, c);
                     }
                 }
             }
@@ -625,12 +2160,15 @@ app.all('*',
                 return new Response(null, {
                     status: 304,
                     statusText: response.statusMessage,
-                    headers: processResponseHeaders(response.headers),
+                    headers: processResponseHeaders(response.headers, getCookieOptions(c)),
                 });
             }
 
-            const responseHeaders = processResponseHeaders(response.headers);
+            const responseHeaders = processResponseHeaders(response.headers, getCookieOptions(c));
             responseHeaders.set('Cache-Control', 'no-cache, no-store, must-revalidate');
+            if (isStreamingType(response.headers['content-type'])) {
+                markStreaming(c, responseHeaders);
+            }
 
             return new Response(response.body, {
                 status: response.statusCode,
@@ -638,9 +2176,12 @@ app.all('*',
                 headers: responseHeaders,
             });
         } catch (error) {
+            if (error instanceof HTTPException) {
+                throw error;
+            }
             console.error('Proxy error:', error);
 
-            if (error.code === 'UND_ERR_SOCKET_TIMEOUT' || error.message.includes('timeout')) {
+            if (['UND_ERR_SOCKET_TIMEOUT', 'UND_ERR_HEADERS_TIMEOUT'].includes(error.code) || error.message.includes('timeout')) {
                 throw new HTTPException(504, {
                     message: 'Gateway Timeout'
                 });
@@ -667,31 +2208,61 @@ app.onError((err, c) => {
     }, 500);
 });
 
+export {
+    app,
+    sites,
+    cache,
+    warcWriter,
+    internalFetch
+};
+export default app;
+
+// Only serve when run directly; tools such as snapshot.js import the app instead
+const isMain = !!process.argv[1] && realpathSync(process.argv[1]) === realpathSync(fileURLToPath(import.meta.url));
+
+if (isMain) {
+    showRoutes(app, {
+        verbose: true,
+    })
+
+    // Graceful shutdown handling
+    const cleanup = async () => {
+        console.log('Closing connection pools...');
+        await closeSites(sites);
+        console.log('Connection pools closed');
+        await warcWriter?.close();
+        tokenStore.close();
+        process.exit(0);
+    };
+
+    process.on('SIGINT', cleanup);
+    process.on('SIGTERM', cleanup);
+
+    // Start server
+    const server = serve({
+        fetch: app.fetch,
+        port: PORT
+    }, (info) => {
+        console.log(`🚀 Mirror server running at http://localhost:${info.port}`);
+        for (const site of sites) {
+            console.log(`📡 Mirroring site [${site.name}]: ${site.hosts.map(h => `${h}${site.prefix}/`).join(', ')} -> ${site.protocol}://${site.origin}/`);
+        }
+        console.log(`💡 Health check: http://localhost:${info.port}/health`);
+        console.log(`⚡ Cache strategy: ${CACHE_STRATEGY}, Static only: ${CACHE_STATIC_ONLY}`);
+        console.log(`📦 Cache TTL: ${CACHE_TTL} seconds, Max connections: ${MAX_CONNECTIONS}`);
+        console.log(`🔧 Cache management: http://localhost:${info.port}/cache/info (header "Authorization: Bearer <CACHE_CLEAR_TOKEN>")`);
+        if (warcWriter) {
+            console.log(`📼 WARC recording: origin exchanges are written to ${WARC_DIR}`);
+        }
+
+        if (prewarmFileSpec && cache) {
+            startPrewarm({
+                base: `http://localhost:${info.port}`,
+                ...prewarmFileSpec,
+            });
+        }
+    });
 
-showRoutes(app, {
-    verbose: true,
-})
-
-// Graceful shutdown handling
-const cleanup = async () => {
-    console.log('Closing connection pool...');
-    await originPool.close();
-    console.log('Connection pool closed');
-    process.exit(0);
-};
-
-process.on('SIGINT', cleanup);
-process.on('SIGTERM', cleanup);
-
-// Start server
-serve({
-    fetch: app.fetch,
-    port: PORT
-}, (info) => {
-    console.log(`🚀 Mirror server running at http://localhost:${info.port}`);
-    console.log(`📡 Mirroring site: ${PROTOCOL}://${ORIGIN_SERVER}/`);
-    console.log(`💡 Health check: http://localhost:${info.port}/health`);
-    console.log(`⚡ Cache strategy: ${CACHE_STRATEGY}, Static only: ${CACHE_STATIC_ONLY}`);
-    console.log(`📦 Cache TTL: ${CACHE_TTL} seconds, Max connections: ${MAX_CONNECTIONS}`);
-    console.log(`🔧 Cache management: http://localhost:${info.port}/cache/info?token=${CACHE_CLEAR_TOKEN}`);
-});
\ No newline at end of file
+    // WebSocket handshakes
+    server.on('upgrade', handleUpgrade);
+}
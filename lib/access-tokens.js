@@ -0,0 +1,173 @@
+// lib/access-tokens.js
+// Named access tokens (TOKENS_FILE) and the signed session cookies issued for them
+//
+// {
+//     "tokens": [
+//         {
+//             "name": "alice",              // unique, shown in logs and kept in the session
+//             "token": "a-long-random-string",
+//             "expires": "2026-12-31",      // optional, the token and its sessions stop working then
+//             "paths": ["/docs/*"],         // optional, mirror paths the token opens (default all)
+//             "sites": ["docs"],            // optional, site names (default all)
+//             "admin": true,                // optional, also opens the cache management endpoints
+//             "disabled": true              // optional, revoked
+//         }
+//     ]
+// }
+//
+// The file is watched: removing, disabling or changing a token ends its sessions
+// on the next request, without a restart.
+
+import {
+    readFileSync,
+    watchFile,
+    unwatchFile
+} from 'node:fs';
+import {
+    createHmac,
+    timingSafeEqual
+} from 'node:crypto';
+import {
+    compilePatterns
+} from './patterns.js';
+
+const compileToken = (raw, index) => {
+    if (!raw || typeof raw.name !== 'string' || !raw.name) {
+        throw new Error(`Token #${index}: missing "name"`);
+    }
+    if (typeof raw.token !== 'string' || !raw.token) {
+        throw new Error(`Token "${raw.name}": missing "token"`);
+    }
+
+    const expiresAt = raw.expires ? Date.parse(raw.expires) : null;
+    if (Number.isNaN(expiresAt)) {
+        throw new Error(`Token "${raw.name}": invalid "expires" ${raw.expires}`);
+    }
+
+    return {
+        name: raw.name,
+        token: raw.token,
+        expiresAt,
+        matchPath: compilePatterns(raw.paths),
+        sites: raw.sites || null,
+        admin: raw.admin === true,
+        disabled: raw.disabled === true,
+    };
+};
+
+// A tokens file is either a list of tokens or { "tokens": [...] }
+export const compileTokens = (parsed) => {
+    const list = Array.isArray(parsed) ? parsed : parsed?.tokens || [];
+    const tokens = list.map(compileToken);
+
+    const names = new Set();
+    for (const { name } of tokens) {
+        if (names.has(name)) {
+            throw new Error(`Duplicate token name "${name}"`);
+        }
+        names.add(name);
+    }
+    return tokens;
+};
+
+// Constant-time comparison
+export const safeEqual = (actual, expected) => {
+    const a = Buffer.from(actual);
+    const b = Buffer.from(expected);
+    return a.length === b.length && timingSafeEqual(a, b);
+};
+
+// Whether a token is usable now, and for this site and path when given
+export const tokenAllows = (entry, { siteName, path, now = Date.now() } = {}) => {
+    if (entry.disabled || (entry.expiresAt !== null && now >= entry.expiresAt)) {
+        return false;
+    }
+    if (siteName !== undefined && entry.sites && !entry.sites.includes(siteName)) {
+        return false;
+    }
+    return path === undefined || entry.matchPath(path);
+};
+
+/**
+ * Tokens loaded from `file` and reloaded whenever it changes. A file that fails to
+ * load keeps the previous tokens (the error is logged); at startup it throws.
+ */
+export const createTokenStore = (file, { interval = 2000, log = console } = {}) => {
+    const load = () => compileTokens(JSON.parse(readFileSync(file, 'utf-8')));
+    let tokens = file ? load() : [];
+
+    if (file) {
+        watchFile(file, {
+            interval,
+            persistent: false
+        }, (current, previous) => {
+            if (current.mtimeMs === previous.mtimeMs) return;
+            try {
+                tokens = load();
+                // Access stays closed to named tokens (it does not open up) until some are added
+                (tokens.length ? log.log : log.warn)(`🔑 Reloaded ${tokens.length} access tokens from ${file}`);
+            } catch (error) {
+                log.error(`Failed to reload ${file}, keeping the previous tokens:`, error.message);
+            }
+        });
+    }
+
+    return {
+        get size() {
+            return tokens.length;
+        },
+        get: (name) => tokens.find(entry => entry.name === name) || null,
+        // Every entry is compared so the time taken does not depend on which one matches
+        find: (secret) => {
+            let found = null;
+            for (const entry of tokens) {
+                if (safeEqual(secret, entry.token) && !found) {
+                    found = entry;
+                }
+            }
+            return found;
+        },
+        close: () => {
+            if (file) unwatchFile(file);
+        },
+    };
+};
+
+const sign = (value, secret) => createHmac('sha256', secret).update(value).digest('base64url');
+
+// Ties a session to the token value: rotating the token ends the sessions issued for it
+export const tokenFingerprint = (token, secret) => sign(`token:${token}`, secret).slice(0, 22);
+
+/**
+ * Session cookie value: base64url(JSON { name, fingerprint, expiresAt }) + "." + HMAC-SHA256
+ */
+export const signSession = (session, secret) => {
+    const payload = Buffer.from(JSON.stringify({
+        n: session.name,
+        f: session.fingerprint,
+        e: session.expiresAt,
+    })).toString('base64url');
+    return `${payload}.${sign(payload, secret)}`;
+};
+
+// The session in a cookie value, null when it is forged, malformed or expired
+export const verifySession = (value, secret, now = Date.now()) => {
+    const [payload, signature, extra] = (value || '').split('.');
+    if (!payload || !signature || extra !== undefined || !safeEqual(signature, sign(payload, secret))) {
+        return null;
+    }
+
+    try {
+        const { n: name, f: fingerprint, e: expiresAt } = JSON.parse(Buffer.from(payload, 'base64url').toString());
+        if (typeof name !== 'string' || typeof fingerprint !== 'string' || !(expiresAt > now)) {
+            return null;
+        }
+        return {
+            name,
+            fingerprint,
+            expiresAt,
+        };
+    } catch {
+        return null;
+    }
+};
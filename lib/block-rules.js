@@ -0,0 +1,124 @@
+// lib/block-rules.js
+// Rules that keep parts of the origin out of the mirror
+//
+// {
+//     "name": "uploads",                  // optional, shown in the log
+//     "methods": ["POST", "PUT"],         // optional
+//     "paths": ["/upload/*", "/admin"],   // optional, origin path (site prefix removed), decoded
+//     "ignoreCase": true,                 // optional, paths match in any letter case
+//     "query": { "action": "delete*" },   // optional, parameter -> value pattern, all must match
+//     "contentTypes": ["application/x-msdownload"],   // optional, checked once the origin answers
+//     "sites": ["docs"],                  // optional, site names
+//     "action": "403",                    // 403 | 404 | redirect | html
+//     "location": "/",                    // redirect target; "/..." stays under the site prefix
+//     "status": 302,                      // optional, redirect (default 302) / html (default 403)
+//     "html": "<h1>Not available</h1>",   // optional page for 403 / 404 / html ...
+//     "file": "./blocked.html"            // ... or read from a file (relative to the rules file)
+// }
+//
+// The first matching rule wins. Rules without contentTypes are checked before the
+// request goes anywhere, the others as soon as the response headers are in.
+// Paths are normalized before matching, so "//admin", "/x/../admin" and "/%61dmin"
+// are all "/admin".
+
+import {
+    readFileSync
+} from 'node:fs';
+import {
+    dirname,
+    resolve
+} from 'node:path';
+import {
+    compilePattern,
+    compilePatterns
+} from './patterns.js';
+
+const ACTIONS = ['403', '404', 'redirect', 'html'];
+
+const compileRule = (rule, index, baseDir) => {
+    const name = rule.name || `#${index}`;
+    const action = String(rule.action ?? '');
+
+    if (!ACTIONS.includes(action)) {
+        throw new Error(`Block rule ${name}: invalid action "${rule.action}"`);
+    }
+    if (action === 'redirect' && !rule.location) {
+        throw new Error(`Block rule ${name}: "redirect" needs "location"`);
+    }
+    if (action === 'html' && rule.html === undefined && !rule.file) {
+        throw new Error(`Block rule ${name}: "html" needs "html" or "file"`);
+    }
+
+    const query = Object.entries(rule.query || {}).map(([param, pattern]) => ({
+        param,
+        matchValue: compilePattern(String(pattern)),
+    }));
+
+    return {
+        name,
+        methods: rule.methods ? rule.methods.map(m => m.toUpperCase()) : null,
+        matchPath: compilePatterns(rule.paths, rule.ignoreCase === true ? 'i' : ''),
+        query,
+        contentTypes: (rule.contentTypes || []).map(t => t.toLowerCase()),
+        sites: rule.sites || null,
+        action,
+        location: rule.location || '',
+        status: rule.status || (action === 'redirect' ? 302 : Number(action) || 403),
+        html: rule.file ? readFileSync(resolve(baseDir, rule.file), 'utf-8') : rule.html ?? null,
+    };
+};
+
+// The path the origin most likely resolves a request to: percent-escapes decoded,
+// repeated slashes collapsed and "." / ".." segments applied
+export const normalizePath = (path) => {
+    let decoded = path;
+    try {
+        decoded = decodeURIComponent(path);
+    } catch {
+        // Malformed escapes are matched as they are
+    }
+
+    const segments = [];
+    for (const segment of decoded.split('/')) {
+        if (segment === '..') {
+            segments.pop();
+        } else if (segment !== '' && segment !== '.') {
+            segments.push(segment);
+        }
+    }
+    const trailingSlash = segments.length && /\/\.?$/.test(decoded) ? '/' : '';
+    return `/${segments.join('/')}${trailingSlash}`;
+};
+
+// A rules file is either a list of rules or { "rules": [...] }
+export const loadBlockRules = (file) => {
+    if (!file) {
+        return [];
+    }
+
+    const parsed = JSON.parse(readFileSync(file, 'utf-8'));
+    const rules = Array.isArray(parsed) ? parsed : parsed.rules || [];
+    return rules.map((rule, index) => compileRule(rule, index, dirname(resolve(file))));
+};
+
+/**
+ * First rule that blocks a request.
+ *
+ * request.method, request.path (origin path), request.query (URLSearchParams),
+ * request.siteName; request.contentType once the response headers are known.
+ * Without contentType only rules that need no response are considered, with it
+ * only the rules that check the content type.
+ */
+export const matchBlockRule = (rules, request) => {
+    const contentType = request.contentType === undefined ? null : request.contentType.toLowerCase();
+    const path = normalizePath(request.path);
+
+    return rules.find(rule => {
+        if (contentType === null ? rule.contentTypes.length : !rule.contentTypes.length) return false;
+        if (rule.sites && !rule.sites.includes(request.siteName)) return false;
+        if (rule.methods && !rule.methods.includes(request.method)) return false;
+        if (!rule.matchPath(path)) return false;
+        if (!rule.query.every(({ param, matchValue }) => request.query.getAll(param).some(value => matchValue.test(value)))) return false;
+        return contentType === null || rule.contentTypes.some(t => contentType.includes(t));
+    }) || null;
+};
@@ -0,0 +1,91 @@
+// lib/cache-key.js
+// Cache key normalization and Vary handling
+//
+// A key looks like
+//   cache:<site>://<host><normalized path and query>[#h:<header>=<value>][#c:<cookie>=<value>][#vary:<header>=<value>]
+// where the #h / #c parts come from the configured key options and the #vary
+// parts from the Vary header the origin sent for that URL. The scheme is left out:
+// behind a TLS-terminating proxy every request reaches the mirror as http.
+
+import {
+    compilePatterns
+} from './patterns.js';
+
+/**
+ * options.ignoreParams - query parameter names left out of the key, globs allowed ("utm_*")
+ * options.sortParams   - sort query parameters so their order does not matter
+ * options.lowercase    - fold the path to lower case
+ * options.headers      - request headers added to every key
+ * options.cookies      - cookie names added to every key
+ */
+export const compileCacheKeyOptions = (options = {}) => {
+    const ignoreParams = options.ignoreParams || [];
+
+    return {
+        ignoreParam: ignoreParams.length ? compilePatterns(ignoreParams, 'i') : () => false,
+        sortParams: options.sortParams === true,
+        lowercase: options.lowercase === true,
+        headers: (options.headers || []).map(h => h.toLowerCase()),
+        cookies: options.cookies || [],
+    };
+};
+
+const readCookie = (header, name) => {
+    for (const cookie of (header || '').split(';')) {
+        const eq = cookie.indexOf('=');
+        if (eq !== -1 && cookie.slice(0, eq).trim() === name) {
+            return cookie.slice(eq + 1).trim();
+        }
+    }
+    return '';
+};
+
+// Header values differing only in spacing share a variant
+const normalizeValue = (value) => encodeURIComponent((value || '').trim().replace(/\s*,\s*/g, ',').replace(/\s+/g, ' '));
+
+/**
+ * Key of a request before Vary is applied.
+ * getHeader(name) returns a request header value.
+ */
+export const buildCacheKey = (siteName, url, options, getHeader) => {
+    const parsed = new URL(url);
+    const path = options.lowercase ? parsed.pathname.toLowerCase() : parsed.pathname;
+
+    let params = [...parsed.searchParams].filter(([name]) => !options.ignoreParam(name));
+    if (options.sortParams) {
+        params = params.sort(([a, aValue], [b, bValue]) => a === b ? (aValue < bValue ? -1 : aValue > bValue ? 1 : 0) : a < b ? -1 : 1);
+    }
+    const query = params.length ? `?${new URLSearchParams(params)}` : '';
+
+    let key = `cache:${siteName}://${parsed.host.toLowerCase()}${path}${query}`;
+    for (const name of options.headers) {
+        key += `#h:${name}=${normalizeValue(getHeader(name))}`;
+    }
+    for (const name of options.cookies) {
+        key += `#c:${name}=${normalizeValue(readCookie(getHeader('cookie'), name))}`;
+    }
+    return key;
+};
+
+/**
+ * Header names from a Vary header, lower-cased and sorted. The mirror stores
+ * uncompressed bodies, so Accept-Encoding never splits the cache.
+ * Returns null for "Vary: *" (not cacheable).
+ */
+export const parseVary = (vary) => {
+    const names = (vary || '').split(',').map(n => n.trim().toLowerCase()).filter(Boolean);
+    if (names.includes('*')) {
+        return null;
+    }
+    return [...new Set(names)].filter(n => n !== 'accept-encoding').sort();
+};
+
+// Key of one variant of a URL
+export const variantKey = (baseKey, varyNames, getHeader) => varyNames
+    .reduce((key, name) => `${key}#vary:${name}=${normalizeValue(getHeader(name))}`, baseKey);
+
+// Where the Vary header names of a URL are remembered
+export const varyKey = (baseKey) => `vary:${baseKey}`;
+
+// The URL part of a key, used to group variants in stats
+export const baseKeyOf = (key) => key.split('#')[0];
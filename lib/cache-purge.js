@@ -0,0 +1,95 @@
+// lib/cache-purge.js
+// Select cache entries to purge
+//
+// {
+//     "urls": ["https://mirror.example.com/blog/post"],   // exact URLs (all variants)
+//     "prefix": "/blog/",                                   // path prefix
+//     "pattern": "/blog/*.html",                            // path glob or "/regex/flags"
+//     "contentType": "text/html",                           // response content type
+//     "site": "docs",                                       // site name
+//     "dryRun": true                                        // only report what would be removed
+// }
+//
+// Criteria combine with AND; a selection without any criteria is rejected.
+
+import {
+    compilePattern
+} from './patterns.js';
+import {
+    baseKeyOf
+} from './cache-key.js';
+
+// "cache:<site>://<host><path>[#...]" -> { site, url }; external site names contain ":" themselves
+const parseKey = (key) => {
+    const [, site, url] = /^cache:(.*?):(\/\/.*)$/.exec(baseKeyOf(key));
+    return {
+        site,
+        url: new URL(`http:${url}`),
+    };
+};
+
+// A string or a list of strings as a list; throws naming the field otherwise
+const toList = (value, field) => {
+    const list = value === undefined ? [] : Array.isArray(value) ? value : [value];
+    if (!list.every(item => typeof item === 'string')) {
+        throw new Error(`"${field}" must be a string or array of strings`);
+    }
+    return list;
+};
+
+const optionalString = (value, field) => {
+    if (value !== undefined && typeof value !== 'string') {
+        throw new Error(`"${field}" must be a string`);
+    }
+    return value || '';
+};
+
+/**
+ * Build a matcher (key, info) => boolean from a purge request.
+ * urlToBaseKey(url) maps a mirror URL to the base cache key it is stored under
+ * (site and key normalization applied), or null when no site serves it.
+ */
+export const compilePurgeSelection = (selection, urlToBaseKey) => {
+    if (!selection || typeof selection !== 'object' || Array.isArray(selection)) {
+        throw new Error('Purge selection must be a JSON object');
+    }
+
+    const urls = toList(selection.urls ?? selection.url, selection.urls !== undefined ? 'urls' : 'url');
+    const contentTypes = toList(selection.contentType, 'contentType').map(t => t.toLowerCase());
+    const sites = toList(selection.site, 'site');
+    const prefix = optionalString(selection.prefix, 'prefix');
+    const patternSource = optionalString(selection.pattern, 'pattern');
+    if (selection.dryRun !== undefined && typeof selection.dryRun !== 'boolean') {
+        throw new Error('"dryRun" must be a boolean');
+    }
+
+    if (!urls.length && !prefix && !patternSource && !contentTypes.length && !sites.length) {
+        throw new Error('Purge needs at least one of "urls", "prefix", "pattern", "contentType" or "site"');
+    }
+
+    const baseKeys = new Set(urls.map(urlToBaseKey).filter(Boolean));
+    let pattern = null;
+    if (patternSource) {
+        try {
+            pattern = compilePattern(patternSource);
+        } catch (error) {
+            throw new Error(`invalid pattern: ${error.message}`);
+        }
+    }
+
+    return (key, info) => {
+        if (!key.startsWith('cache:')) return false;
+        if (urls.length && !baseKeys.has(baseKeyOf(key))) return false;
+        if (sites.length && !sites.includes(info.site)) return false;
+        if (contentTypes.length) {
+            const type = (info.contentType || '').split(';')[0].trim().toLowerCase();
+            if (!contentTypes.some(t => t.includes('/') ? type === t : type.startsWith(`${t}/`))) return false;
+        }
+        if (prefix || pattern) {
+            const { url } = parseKey(key);
+            if (prefix && !url.pathname.startsWith(prefix)) return false;
+            if (pattern && !pattern.test(url.pathname + url.search)) return false;
+        }
+        return true;
+    };
+};
@@ -0,0 +1,531 @@
+// lib/cache-store.js
+// Two-tier response cache: an in-memory LRU bounded by bytes, backed by an
+// optional on-disk store with its own size cap that survives restarts.
+//
+// Entries look like
+// { site, body: Uint8Array, contentType, status, statusText, headers, cachedAt, expiresAt,
+//   staleWhileRevalidateUntil, staleIfErrorUntil }
+//
+// An entry is fresh until expiresAt; it is kept (and returned by get) until the later
+// of the two stale windows ends, the caller decides how an expired entry may be used.
+//
+// Bodies larger than memoryMaxEntrySize never sit in memory whole: they are written
+// to the disk tier while they stream in, and get() returns them as
+// { ...entry, bodyFile, size } instead of { ...entry, body }.
+
+import {
+    createHash
+} from 'node:crypto';
+import {
+    mkdir,
+    open,
+    readdir,
+    readFile,
+    writeFile,
+    rename,
+    unlink,
+    stat
+} from 'node:fs/promises';
+import {
+    join
+} from 'node:path';
+import {
+    LRUCache
+} from 'lru-cache';
+
+// Rough per-entry overhead (headers, metadata) added to the body size
+const ENTRY_OVERHEAD = 512;
+
+// "64mb", "1g", "500k" or a plain byte count
+export const parseSize = (value, fallback) => {
+    if (value === undefined || value === null || value === '') return fallback;
+
+    const match = /^\s*(\d+(?:\.\d+)?)\s*([kmg]?)b?\s*$/i.exec(String(value));
+    if (!match) {
+        throw new Error(`Invalid size "${value}"`);
+    }
+
+    const units = {
+        '': 1,
+        k: 1024,
+        m: 1024 ** 2,
+        g: 1024 ** 3
+    };
+    return Math.floor(parseFloat(match[1]) * units[match[2].toLowerCase()]);
+};
+
+// When an entry may finally be dropped
+const retainUntil = (entry) => Math.max(entry.expiresAt, entry.staleWhileRevalidateUntil || 0, entry.staleIfErrorUntil || 0);
+
+const entrySize = (entry) => (entry.body ? entry.body.length : 0) + ENTRY_OVERHEAD;
+
+// Metadata kept in memory for every disk entry and shown in stats
+const describeEntry = (entry, tier) => ({
+    site: entry.site,
+    contentType: entry.contentType,
+    status: entry.status,
+    cachedAt: entry.cachedAt,
+    expiresAt: entry.expiresAt,
+    size: entry.body ? entry.body.length : entry.size || 0,
+    tier,
+});
+
+const hashKey = (key) => createHash('sha1').update(key).digest('hex');
+
+// Unique per write, so concurrent writes of one key never share a temp file
+let tempSequence = 0;
+const tempPath = (path) => `${path}.${process.pid}.${tempSequence++}.tmp`;
+
+const concatChunks = (chunks, size) => {
+    const body = new Uint8Array(size);
+    let offset = 0;
+    for (const chunk of chunks) {
+        body.set(chunk, offset);
+        offset += chunk.length;
+    }
+    return body;
+};
+
+// On-disk tier: one "<hash>.meta.json" and one "<hash>.body" file per entry;
+// bodies over inlineMaxSize are not read back, get() hands out their file instead
+const createDiskStore = ({ dir, maxSize, inlineMaxSize }) => {
+    // key -> { hash, size, lastAccess, meta }
+    const index = new Map();
+    let totalSize = 0;
+
+    const paths = (hash) => ({
+        meta: join(dir, `${hash}.meta.json`),
+        body: join(dir, `${hash}.body`),
+    });
+
+    const removeFiles = async (hash) => {
+        const { meta, body } = paths(hash);
+        await Promise.all([unlink(meta).catch(() => {}), unlink(body).catch(() => {})]);
+    };
+
+    const forget = (key) => {
+        const item = index.get(key);
+        if (!item) return null;
+        index.delete(key);
+        totalSize -= item.size;
+        return item;
+    };
+
+    const remove = async (key) => {
+        const item = forget(key);
+        if (item) await removeFiles(item.hash);
+        return !!item;
+    };
+
+    // Drop least recently used entries until the store fits its cap
+    const evict = async () => {
+        if (totalSize <= maxSize) return;
+
+        const byAccess = [...index.entries()].sort((a, b) => a[1].lastAccess - b[1].lastAccess);
+        for (const [key] of byAccess) {
+            if (totalSize <= maxSize) break;
+            await remove(key);
+        }
+    };
+
+    const writeAtomic = async (path, data) => {
+        const tmp = tempPath(path);
+        await writeFile(tmp, data);
+        await rename(tmp, path);
+    };
+
+    // Put a body file (already at its final path) and its metadata in the index
+    const commit = async (key, hash, entry, size) => {
+        const { body: _body, bodyFile: _bodyFile, ...rest } = entry;
+        const meta = {
+            ...rest,
+            key,
+            size,
+        };
+        await writeAtomic(paths(hash).meta, JSON.stringify(meta));
+
+        index.set(key, {
+            hash,
+            size: size + ENTRY_OVERHEAD,
+            lastAccess: Date.now(),
+            meta,
+        });
+        totalSize += size + ENTRY_OVERHEAD;
+        await evict();
+    };
+
+    return {
+        // Rebuild the index from the files left by a previous run
+        async load() {
+            await mkdir(dir, {
+                recursive: true
+            });
+
+            const now = Date.now();
+            let loaded = 0;
+
+            for (const file of await readdir(dir)) {
+                if (file.endsWith('.tmp')) {
+                    await unlink(join(dir, file)).catch(() => {});
+                    continue;
+                }
+                if (!file.endsWith('.meta.json')) continue;
+
+                const hash = file.slice(0, -'.meta.json'.length);
+                try {
+                    const meta = JSON.parse(await readFile(join(dir, file), 'utf-8'));
+                    const bodyStat = await stat(paths(hash).body);
+
+                    if (retainUntil(meta) <= now || bodyStat.size !== meta.size) {
+                        await removeFiles(hash);
+                        continue;
+                    }
+
+                    const size = meta.size + ENTRY_OVERHEAD;
+                    index.set(meta.key, {
+                        hash,
+                        size,
+                        lastAccess: bodyStat.atimeMs || meta.cachedAt,
+                        meta,
+                    });
+                    totalSize += size;
+                    loaded++;
+                } catch {
+                    await removeFiles(hash);
+                }
+            }
+
+            await evict();
+            return loaded;
+        },
+
+        async get(key) {
+            const item = index.get(key);
+            if (!item) return undefined;
+
+            if (retainUntil(item.meta) <= Date.now()) {
+                await remove(key);
+                return undefined;
+            }
+
+            if (item.meta.size > inlineMaxSize) {
+                try {
+                    const { size } = await stat(paths(item.hash).body);
+                    if (size !== item.meta.size) {
+                        await remove(key);
+                        return undefined;
+                    }
+                } catch {
+                    forget(key);
+                    return undefined;
+                }
+                item.lastAccess = Date.now();
+
+                const { key: _key, ...entry } = item.meta;
+                return {
+                    ...entry,
+                    bodyFile: paths(item.hash).body,
+                };
+            }
+
+            try {
+                const body = await readFile(paths(item.hash).body);
+                if (body.length !== item.meta.size) {
+                    await remove(key);
+                    return undefined;
+                }
+                item.lastAccess = Date.now();
+
+                const { key: _key, size: _size, ...entry } = item.meta;
+                return {
+                    ...entry,
+                    body: new Uint8Array(body.buffer, body.byteOffset, body.length),
+                };
+            } catch {
+                forget(key);
+                return undefined;
+            }
+        },
+
+        async set(key, entry) {
+            const size = entry.body ? entry.body.length : 0;
+            if (size + ENTRY_OVERHEAD > maxSize) return;
+
+            const hash = hashKey(key);
+            forget(key);
+            await writeAtomic(paths(hash).body, entry.body || new Uint8Array(0));
+            await commit(key, hash, entry, size);
+        },
+
+        // New metadata for an entry whose body stays as it is (revalidated large files)
+        async update(key, entry) {
+            const item = index.get(key);
+            if (!item) return;
+
+            const { body: _body, bodyFile: _bodyFile, ...rest } = entry;
+            item.meta = {
+                ...rest,
+                key,
+                size: item.meta.size,
+            };
+            await writeAtomic(paths(item.hash).meta, JSON.stringify(item.meta));
+        },
+
+        // Stream a body into the store: write() chunks, then end() resolves to the
+        // stored entry (with bodyFile), or null if it outgrew the store or was aborted
+        async createWriter(key) {
+            const hash = hashKey(key);
+            const tmp = tempPath(paths(hash).body);
+            const handle = await open(tmp, 'w');
+            let size = 0;
+            let closed = false;
+
+            const close = async () => {
+                if (closed) return;
+                closed = true;
+                await handle.close();
+            };
+            const abort = async () => {
+                await close();
+                await unlink(tmp).catch(() => {});
+            };
+
+            return {
+                async write(chunk) {
+                    size += chunk.length;
+                    if (size + ENTRY_OVERHEAD > maxSize) {
+                        throw new Error('Body larger than the disk cache');
+                    }
+                    await handle.write(chunk);
+                },
+                async end(entry) {
+                    await close();
+                    forget(key);
+                    await rename(tmp, paths(hash).body);
+                    await commit(key, hash, entry, size);
+                    return {
+                        ...entry,
+                        size,
+                        bodyFile: paths(hash).body,
+                    };
+                },
+                abort,
+            };
+        },
+
+        delete: remove,
+
+        async clear() {
+            const hashes = [...index.values()].map(item => item.hash);
+            index.clear();
+            totalSize = 0;
+            await Promise.all(hashes.map(removeFiles));
+        },
+
+        has: (key) => index.has(key),
+
+        *entries() {
+            for (const [key, item] of index) {
+                yield [key, describeEntry(item.meta, 'disk')];
+            }
+        },
+
+        info: () => ({
+            dir,
+            size: index.size,
+            maxSize,
+            calculatedSize: totalSize,
+        }),
+    };
+};
+
+/**
+ * options.ttl                - default lifetime in ms (used when an entry has no expiresAt)
+ * options.memoryMaxSize      - memory tier cap in bytes
+ * options.memoryMaxEntrySize - bodies larger than this are kept on disk only (the
+ *                              per-entry overhead is not counted against it)
+ * options.diskDir            - disk tier directory, '' disables the disk tier
+ * options.diskMaxSize        - disk tier cap in bytes
+ */
+export const createCacheStore = (options) => {
+    const {
+        ttl,
+        memoryMaxSize,
+        memoryMaxEntrySize = Math.floor(memoryMaxSize / 8),
+        diskDir = '',
+        diskMaxSize,
+    } = options;
+
+    const memory = new LRUCache({
+        maxSize: memoryMaxSize,
+        // entrySize() adds the overhead, so a body of exactly memoryMaxEntrySize still fits
+        maxEntrySize: memoryMaxEntrySize + ENTRY_OVERHEAD,
+        sizeCalculation: entrySize,
+        ttl,
+    });
+    const disk = diskDir ? createDiskStore({
+        dir: diskDir,
+        maxSize: diskMaxSize,
+        inlineMaxSize: memoryMaxEntrySize,
+    }) : null;
+
+    const withExpiry = (entry) => entry.expiresAt ? entry : {
+        ...entry,
+        expiresAt: (entry.cachedAt || Date.now()) + ttl,
+    };
+
+    const setMemory = (key, entry) => {
+        // File-backed entries live on the disk tier only
+        if (entry.bodyFile) return;
+
+        const remaining = retainUntil(entry) - Date.now();
+        if (remaining > 0) {
+            memory.set(key, entry, {
+                ttl: remaining
+            });
+        }
+    };
+
+    const set = (key, entry) => {
+        const stored = withExpiry(entry);
+        setMemory(key, stored);
+
+        if (disk) {
+            // A file-backed body is already on disk, only its metadata changes
+            (stored.bodyFile ? disk.update(key, stored) : disk.set(key, stored)).catch((error) => {
+                console.error('Disk cache write error:', error);
+            });
+        }
+    };
+
+    return {
+        ttl,
+
+        // Load the disk index left by a previous run, returns the entry count
+        load: () => disk ? disk.load() : Promise.resolve(0),
+
+        async get(key) {
+            const hit = memory.get(key);
+            if (hit) return hit;
+
+            if (disk) {
+                const entry = await disk.get(key);
+                if (entry) {
+                    // Promote to memory (skipped by the LRU when over memoryMaxEntrySize)
+                    setMemory(key, entry);
+                    return entry;
+                }
+            }
+            return undefined;
+        },
+
+        set,
+
+        /**
+         * Store a body that arrives in chunks. Up to memoryMaxEntrySize it is buffered
+         * and stored like set(); past that it goes straight to the disk tier, or is
+         * dropped when there is none. Write errors only abandon the entry.
+         * end() resolves to the stored entry, or null when nothing was stored.
+         */
+        createWriter(key, entry) {
+            let chunks = [];
+            let size = 0;
+            let file = null;
+            let failed = false;
+
+            const fail = (error) => {
+                if (error) {
+                    console.error('Cache write error:', error.message);
+                }
+                failed = true;
+                chunks = [];
+                file?.then(writer => writer.abort()).catch(() => {});
+            };
+
+            return {
+                async write(chunk) {
+                    if (failed) return;
+                    try {
+                        if (!file) {
+                            chunks.push(chunk);
+                            size += chunk.length;
+                            if (size <= memoryMaxEntrySize) return;
+                            if (!disk) return fail();
+
+                            // Too large for memory: move what was buffered to a disk file
+                            file = disk.createWriter(key);
+                            const buffered = chunks;
+                            chunks = [];
+                            for (const part of buffered) {
+                                await (await file).write(part);
+                            }
+                            return;
+                        }
+                        await (await file).write(chunk);
+                    } catch (error) {
+                        fail(error);
+                    }
+                },
+
+                async end() {
+                    if (failed) return null;
+                    if (!file) {
+                        const stored = withExpiry({
+                            ...entry,
+                            body: concatChunks(chunks, size),
+                        });
+                        set(key, stored);
+                        return stored;
+                    }
+
+                    try {
+                        memory.delete(key);
+                        return await (await file).end(withExpiry(entry));
+                    } catch (error) {
+                        fail(error);
+                        return null;
+                    }
+                },
+
+                abort: () => fail(),
+            };
+        },
+
+        async delete(key) {
+            const inMemory = memory.delete(key);
+            const onDisk = disk ? await disk.delete(key) : false;
+            return inMemory || onDisk;
+        },
+
+        async clear() {
+            memory.clear();
+            if (disk) await disk.clear();
+        },
+
+        has: (key) => memory.has(key) || (disk ? disk.has(key) : false),
+
+        // [key, metadata] for every entry, memory first, disk-only entries after
+        *entries() {
+            const seen = new Set();
+            for (const [key, entry] of memory.entries()) {
+                seen.add(key);
+                yield [key, describeEntry(entry, 'memory')];
+            }
+            if (disk) {
+                for (const [key, meta] of disk.entries()) {
+                    if (!seen.has(key)) yield [key, meta];
+                }
+            }
+        },
+
+        info: () => ({
+            memory: {
+                size: memory.size,
+                maxSize: memoryMaxSize,
+                maxEntrySize: memoryMaxEntrySize,
+                calculatedSize: memory.calculatedSize,
+            },
+            disk: disk ? disk.info() : null,
+        }),
+    };
+};
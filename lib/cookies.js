@@ -0,0 +1,77 @@
+// lib/cookies.js
+// Cookie handling between the browser (mirror host) and the origin
+
+/**
+ * Rewrite one origin Set-Cookie header so the browser accepts it on the mirror.
+ *
+ * options.domain      - Domain to set, '' removes Domain (host-only cookie)
+ * options.stripSecure - drop Secure (plain-HTTP mirror); SameSite=None becomes Lax
+ *                       since browsers reject SameSite=None without Secure
+ * options.pathPrefix  - mount prefix prepended to Path (e.g. "/npm")
+ * options.namePrefix  - namespace prepended to the cookie name
+ */
+export const rewriteSetCookie = (header, options = {}) => {
+    const {
+        domain = '',
+        stripSecure = false,
+        pathPrefix = '',
+        namePrefix = '',
+    } = options;
+
+    const [pair, ...attributes] = header.split(';');
+    const eq = pair.indexOf('=');
+    const name = (eq === -1 ? '' : pair.slice(0, eq)).trim();
+    const value = eq === -1 ? pair.trim() : pair.slice(eq + 1).trim();
+
+    const parts = [`${namePrefix}${name}=${value}`];
+    let hasDomain = false;
+
+    for (const attribute of attributes) {
+        const trimmed = attribute.trim();
+        if (!trimmed) continue;
+
+        const [key, ...rest] = trimmed.split('=');
+        const lowerKey = key.trim().toLowerCase();
+        const attrValue = rest.join('=').trim();
+
+        if (lowerKey === 'domain') {
+            hasDomain = true;
+            if (domain) parts.push(`Domain=${domain}`);
+        } else if (lowerKey === 'secure') {
+            if (!stripSecure) parts.push(trimmed);
+        } else if (lowerKey === 'samesite' && stripSecure && attrValue.toLowerCase() === 'none') {
+            parts.push('SameSite=Lax');
+        } else if (lowerKey === 'path' && pathPrefix) {
+            parts.push(`Path=${pathPrefix}${attrValue === '/' ? '/' : attrValue}`);
+        } else {
+            parts.push(trimmed);
+        }
+    }
+
+    // A configured mirror domain also applies to host-only origin cookies
+    if (domain && !hasDomain) {
+        parts.push(`Domain=${domain}`);
+    }
+
+    return parts.join('; ');
+};
+
+/**
+ * Filter the browser's Cookie header before it goes to the origin.
+ *
+ * mirrorCookies - names used by the mirror itself, never forwarded
+ * namePrefix    - only cookies in this namespace are forwarded, with the prefix removed
+ * Returns '' when nothing is left to forward.
+ */
+export const filterRequestCookies = (header, { mirrorCookies = [], namePrefix = '' } = {}) => header
+    .split(';')
+    .map(cookie => cookie.trim())
+    .filter(Boolean)
+    .filter(cookie => {
+        const [cookieName] = cookie.split('=');
+        const trimmedName = cookieName.trim();
+        if (mirrorCookies.includes(trimmedName)) return false;
+        return !namePrefix || trimmedName.startsWith(namePrefix);
+    })
+    .map(cookie => namePrefix ? cookie.slice(namePrefix.length) : cookie)
+    .join('; ');
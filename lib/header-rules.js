@@ -0,0 +1,146 @@
+// lib/header-rules.js
+// Declarative request/response header rules
+//
+// {
+//     "phase": "response",              // "request" or "response" (default)
+//     "action": "replace",              // set | remove | append | replace | rewrite-origin (response)
+//     "header": "Content-Security-Policy",
+//     "value": "...",                   // set / append, may use {host} {origin} {mirror}
+//     "pattern": "frame-ancestors[^;]*;?", "replacement": "", "flags": "gi",   // replace
+//     "paths": ["/api/*"],              // optional, origin path (site prefix removed)
+//     "contentTypes": ["text/html"],    // optional, response phase only
+//     "sites": ["docs"]                 // optional, site names
+// }
+
+import {
+    readFileSync
+} from 'node:fs';
+import {
+    compilePatterns
+} from './patterns.js';
+
+const ACTIONS = ['set', 'remove', 'append', 'replace', 'rewrite-origin'];
+
+// Built-in rules: headers that carry origin URLs point at the mirror instead,
+// and the origin's HSTS policy is not pinned onto the mirror domain
+export const DEFAULT_HEADER_RULES = [
+    ...['link', 'refresh', 'content-location', 'content-security-policy', 'access-control-allow-origin']
+        .map(header => ({
+            action: 'rewrite-origin',
+            header,
+        })),
+    {
+        action: 'remove',
+        header: 'strict-transport-security',
+    },
+];
+
+const compileRule = (rule, index) => {
+    const phase = rule.phase || 'response';
+    const action = rule.action;
+
+    if (!['request', 'response'].includes(phase)) {
+        throw new Error(`Header rule #${index}: invalid phase "${phase}"`);
+    }
+    if (!ACTIONS.includes(action)) {
+        throw new Error(`Header rule #${index}: invalid action "${action}"`);
+    }
+    if (!rule.header) {
+        throw new Error(`Header rule #${index}: missing "header"`);
+    }
+    if (action === 'replace' && rule.pattern === undefined) {
+        throw new Error(`Header rule #${index}: "replace" needs "pattern"`);
+    }
+
+    const contentTypes = (rule.contentTypes || []).map(t => t.toLowerCase());
+
+    return {
+        phase,
+        action,
+        header: rule.header.toLowerCase(),
+        value: rule.value ?? '',
+        pattern: action === 'replace' ? new RegExp(rule.pattern, rule.flags ?? 'g') : null,
+        replacement: rule.replacement ?? '',
+        matchPath: compilePatterns(rule.paths),
+        contentTypes,
+        sites: rule.sites || null,
+    };
+};
+
+/**
+ * Compile rules into { request: [...], response: [...] }.
+ * `rules` is a list of rule objects; with `includeDefaults` the built-in rules run first.
+ */
+export const compileHeaderRules = (rules = [], includeDefaults = true) => {
+    const compiled = [...(includeDefaults ? DEFAULT_HEADER_RULES : []), ...rules].map(compileRule);
+
+    return {
+        request: compiled.filter(rule => rule.phase === 'request'),
+        response: compiled.filter(rule => rule.phase === 'response'),
+    };
+};
+
+// A rules file is either a list of rules or { "defaults": false, "rules": [...] }
+export const loadHeaderRules = (file) => {
+    if (!file) {
+        return compileHeaderRules();
+    }
+
+    const parsed = JSON.parse(readFileSync(file, 'utf-8'));
+    const rules = Array.isArray(parsed) ? parsed : parsed.rules || [];
+    const includeDefaults = Array.isArray(parsed) || parsed.defaults !== false;
+
+    return compileHeaderRules(rules, includeDefaults);
+};
+
+const fillTemplate = (value, vars) => value.replace(/\{(host|origin|mirror)\}/g, (match, name) => vars[name] ?? match);
+
+/**
+ * Apply compiled rules of one phase to a Headers object in place.
+ *
+ * context.path          - origin path the rule paths are matched against
+ * context.contentType   - response content type
+ * context.siteName      - current site name
+ * context.vars          - { host, origin, mirror } for value templates
+ * context.rewriteOrigin - (header, value) => value, used by "rewrite-origin"
+ */
+export const applyHeaderRules = (headers, rules, context) => {
+    const contentType = (context.contentType || '').toLowerCase();
+
+    for (const rule of rules) {
+        if (rule.sites && !rule.sites.includes(context.siteName)) continue;
+        if (!rule.matchPath(context.path)) continue;
+        if (rule.contentTypes.length && !rule.contentTypes.some(t => contentType.includes(t))) continue;
+
+        const current = headers.get(rule.header);
+
+        switch (rule.action) {
+            case 'set':
+                headers.set(rule.header, fillTemplate(rule.value, context.vars));
+                break;
+            case 'append':
+                headers.append(rule.header, fillTemplate(rule.value, context.vars));
+                break;
+            case 'remove':
+                headers.delete(rule.header);
+                break;
+            case 'replace':
+                if (current !== null) {
+                    const replaced = current.replace(rule.pattern, fillTemplate(rule.replacement, context.vars));
+                    if (replaced) {
+                        headers.set(rule.header, replaced);
+                    } else {
+                        headers.delete(rule.header);
+                    }
+                }
+                break;
+            case 'rewrite-origin':
+                if (current !== null && context.rewriteOrigin) {
+                    headers.set(rule.header, context.rewriteOrigin(rule.header, current));
+                }
+                break;
+        }
+    }
+
+    return headers;
+};
@@ -0,0 +1,349 @@
+// lib/html-rewriter.js
+// Streaming HTML rewriter: tokenizes tags as chunks arrive and lets handlers
+// change start tag attributes or insert HTML around tags, without buffering
+// the whole document. Text, comments and unchanged tags pass through as-is.
+//
+// Attribute values are given to handlers exactly as written in the source
+// (entities are not decoded), and are written back the same way.
+
+// Elements whose content is not markup, tags inside them are left alone
+const RAW_TEXT_ELEMENTS = new Set([
+    'script', 'style', 'textarea', 'title', 'xmp', 'iframe', 'noembed', 'noframes',
+]);
+
+// A tag that never closes is flushed as text once it grows past this
+const MAX_TAG_LENGTH = 64 * 1024;
+
+// Buffered raw text (see handlers.bufferRawText) is flushed in pieces past this
+const MAX_RAW_TEXT_LENGTH = 1024 * 1024;
+
+const isWhitespace = (ch) => ch === ' ' || ch === '\n' || ch === '\t' || ch === '\r' || ch === '\f';
+const isTagStart = (ch) => /[a-zA-Z]/.test(ch);
+
+// Parse "<name attr=value ...>" from the start of buf.
+// Returns null while the tag is still incomplete.
+const parseStartTag = (buf) => {
+    const length = buf.length;
+    let i = 1;
+
+    while (i < length && !isWhitespace(buf[i]) && buf[i] !== '/' && buf[i] !== '>') i++;
+    if (i >= length) return null;
+
+    const name = buf.slice(1, i).toLowerCase();
+    const attributes = [];
+    let selfClosing = false;
+
+    while (true) {
+        while (i < length && (isWhitespace(buf[i]) || buf[i] === '/')) {
+            selfClosing = buf[i] === '/';
+            i++;
+        }
+        if (i >= length) return null;
+
+        if (buf[i] === '>') {
+            return {
+                end: i + 1,
+                name,
+                attributes,
+                selfClosing,
+            };
+        }
+        selfClosing = false;
+
+        const nameStart = i;
+        while (i < length && !isWhitespace(buf[i]) && buf[i] !== '=' && buf[i] !== '>' &&
+            !(buf[i] === '/' && buf[i + 1] === '>')) i++;
+        const attrName = buf.slice(nameStart, i);
+
+        while (i < length && isWhitespace(buf[i])) i++;
+        if (i >= length) return null;
+
+        if (buf[i] !== '=') {
+            attributes.push({
+                name: attrName,
+                value: null,
+                quote: '',
+            });
+            continue;
+        }
+
+        i++;
+        while (i < length && isWhitespace(buf[i])) i++;
+        if (i >= length) return null;
+
+        if (buf[i] === '"' || buf[i] === "'") {
+            const quote = buf[i];
+            const close = buf.indexOf(quote, i + 1);
+            if (close === -1) return null;
+            attributes.push({
+                name: attrName,
+                value: buf.slice(i + 1, close),
+                quote,
+            });
+            i = close + 1;
+        } else {
+            const valueStart = i;
+            while (i < length && !isWhitespace(buf[i]) && buf[i] !== '>') i++;
+            if (i >= length) return null;
+            attributes.push({
+                name: attrName,
+                value: buf.slice(valueStart, i),
+                quote: '',
+            });
+        }
+    }
+};
+
+const serializeAttribute = ({ name, value, quote }) => {
+    if (value === null) return ` ${name}`;
+
+    if (!quote && value !== '' && !/[\s"'=<>`]/.test(value)) {
+        return ` ${name}=${value}`;
+    }
+
+    const q = quote || '"';
+    const escaped = value.replace(q === '"' ? /"/g : /'/g, q === '"' ? '&quot;' : '&#39;');
+    return ` ${name}=${q}${escaped}${q}`;
+};
+
+const createElement = (raw, parsed) => {
+    let modified = false;
+    let before = '';
+    let after = '';
+
+    const find = (name) => {
+        const lower = name.toLowerCase();
+        return parsed.attributes.find(a => a.name.toLowerCase() === lower);
+    };
+
+    const element = {
+        name: parsed.name,
+        get attributes() {
+            return parsed.attributes.map(({ name, value }) => ({ name, value }));
+        },
+        hasAttribute: (name) => !!find(name),
+        getAttribute: (name) => {
+            const attr = find(name);
+            return attr ? attr.value : null;
+        },
+        setAttribute: (name, value) => {
+            const attr = find(name);
+            if (attr) {
+                if (attr.value === value) return;
+                attr.value = value;
+            } else {
+                parsed.attributes.push({
+                    name,
+                    value,
+                    quote: '"',
+                });
+            }
+            modified = true;
+        },
+        removeAttribute: (name) => {
+            const attr = find(name);
+            if (!attr) return;
+            parsed.attributes.splice(parsed.attributes.indexOf(attr), 1);
+            modified = true;
+        },
+        before: (html) => {
+            before += html;
+        },
+        after: (html) => {
+            after += html;
+        },
+        toString: () => {
+            const tag = modified
+                ? `<${parsed.name}${parsed.attributes.map(serializeAttribute).join('')}${parsed.selfClosing ? ' /' : ''}>`
+                : raw;
+            return `${before}${tag}${after}`;
+        },
+    };
+
+    return element;
+};
+
+const createEndTag = (raw, name) => {
+    let before = '';
+    let after = '';
+
+    return {
+        name,
+        before: (html) => {
+            before += html;
+        },
+        after: (html) => {
+            after += html;
+        },
+        toString: () => `${before}${raw}${after}`,
+    };
+};
+
+// Tokenizer state shared across chunks
+const createTokenizer = (handlers) => {
+    let buffer = '';
+    let rawTag = null;
+    const bufferedTags = new Set(handlers.bufferRawText || []);
+
+    const emitText = (text) => {
+        if (!text) return '';
+        return handlers.text ? handlers.text(text, rawTag) ?? text : text;
+    };
+
+    // Consume as much of the buffer as can be tokenized, return the output
+    const run = (final) => {
+        let out = '';
+
+        while (buffer) {
+            if (rawTag) {
+                const closeRegex = new RegExp(`</${rawTag}[\\s/>]`, 'i');
+                const match = closeRegex.exec(buffer);
+
+                if (!match) {
+                    // Hand the whole element content to the text handler at once
+                    if (bufferedTags.has(rawTag) && !final && buffer.length < MAX_RAW_TEXT_LENGTH) {
+                        break;
+                    }
+                    // Hold back enough to recognise a close tag split across chunks
+                    const keep = final ? 0 : rawTag.length + 2;
+                    const cut = Math.max(0, buffer.length - keep);
+                    out += emitText(buffer.slice(0, cut));
+                    buffer = buffer.slice(cut);
+                    break;
+                }
+
+                out += emitText(buffer.slice(0, match.index));
+                buffer = buffer.slice(match.index);
+                rawTag = null;
+                continue;
+            }
+
+            const lt = buffer.indexOf('<');
+            if (lt === -1) {
+                out += emitText(buffer);
+                buffer = '';
+                break;
+            }
+            if (lt > 0) {
+                out += emitText(buffer.slice(0, lt));
+                buffer = buffer.slice(lt);
+            }
+
+            let consumed = 0;
+
+            if (buffer.startsWith('<!--')) {
+                const close = buffer.indexOf('-->', 4);
+                if (close !== -1) {
+                    consumed = close + 3;
+                    out += buffer.slice(0, consumed);
+                }
+            } else if (!final && (buffer === '</' || (buffer.length < 4 && '<!--'.startsWith(buffer)))) {
+                break;
+            } else if (buffer[1] === '!' || buffer[1] === '?') {
+                const close = buffer.indexOf('>');
+                if (close !== -1) {
+                    consumed = close + 1;
+                    out += buffer.slice(0, consumed);
+                }
+            } else if (buffer[1] === '/' && buffer.length > 2 && isTagStart(buffer[2])) {
+                const close = buffer.indexOf('>');
+                if (close !== -1) {
+                    consumed = close + 1;
+                    const raw = buffer.slice(0, consumed);
+                    const name = /^<\/([^\s/>]+)/.exec(raw)[1].toLowerCase();
+                    const tag = createEndTag(raw, name);
+                    handlers.endTag?.(tag);
+                    out += tag.toString();
+                }
+            } else if (buffer.length > 1 && isTagStart(buffer[1])) {
+                const parsed = parseStartTag(buffer);
+                if (parsed) {
+                    consumed = parsed.end;
+                    const element = createElement(buffer.slice(0, consumed), parsed);
+                    handlers.element?.(element);
+                    out += element.toString();
+                    if (RAW_TEXT_ELEMENTS.has(parsed.name) && !parsed.selfClosing) {
+                        rawTag = parsed.name;
+                    }
+                }
+            } else if (buffer.length > 1 || final) {
+                // A lone "<" in text
+                consumed = 1;
+                out += emitText('<');
+            }
+
+            if (!consumed) {
+                if (final || buffer.length > MAX_TAG_LENGTH) {
+                    // Unterminated markup, pass the "<" through as text
+                    out += emitText('<');
+                    buffer = buffer.slice(1);
+                    continue;
+                }
+                break;
+            }
+
+            buffer = buffer.slice(consumed);
+        }
+
+        return out;
+    };
+
+    return {
+        write: (text) => {
+            buffer += text;
+            return run(false);
+        },
+        end: () => run(true) + (handlers.end?.() || ''),
+    };
+};
+
+/**
+ * Create a TransformStream that rewrites an HTML byte stream.
+ *
+ * handlers.element(el)  - every start tag; el.getAttribute/setAttribute/removeAttribute,
+ *                         el.before(html)/el.after(html)
+ * handlers.endTag(tag)  - every end tag; tag.before(html)/tag.after(html)
+ * handlers.text(text, rawTag) - text between tags, may return a replacement;
+ *                         rawTag is the enclosing script/style/... element name
+ * handlers.bufferRawText - raw text element names (e.g. ['style']) whose content
+ *                         is passed to handlers.text in one piece instead of per chunk
+ * handlers.end()        - may return HTML appended at the end of the document
+ */
+export const createHtmlRewriter = (handlers) => {
+    const decoder = new TextDecoder();
+    const encoder = new TextEncoder();
+    const tokenizer = createTokenizer(handlers);
+
+    return new TransformStream({
+        transform(chunk, controller) {
+            const text = typeof chunk === 'string' ? chunk : decoder.decode(chunk, {
+                stream: true
+            });
+            const out = tokenizer.write(text);
+            if (out) controller.enqueue(encoder.encode(out));
+        },
+        flush(controller) {
+            const out = tokenizer.write(decoder.decode()) + tokenizer.end();
+            if (out) controller.enqueue(encoder.encode(out));
+        },
+    });
+};
+
+/**
+ * Pipe a Response body through the rewriter, keeping status and headers.
+ * Content-Length is dropped because the body size changes.
+ */
+export const rewriteHtmlResponse = (response, handlers, extraHeaders = {}) => {
+    const headers = new Headers(response.headers);
+    headers.delete('content-length');
+
+    for (const [key, value] of Object.entries(extraHeaders)) {
+        headers.set(key, value);
+    }
+
+    return new Response(response.body.pipeThrough(createHtmlRewriter(handlers)), {
+        status: response.status,
+        statusText: response.statusText,
+        headers,
+    });
+};
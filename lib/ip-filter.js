@@ -0,0 +1,104 @@
+// lib/ip-filter.js
+// Network lists ("10.0.0.0/8", "192.168.1.10", "2001:db8::/32") and client
+// addresses from proxy headers
+
+import {
+    BlockList,
+    isIP
+} from 'node:net';
+
+// "::ffff:10.0.0.1" -> "10.0.0.1", "::1" -> "127.0.0.1" (as the access log shows them)
+export const normalizeIP = (ip) => {
+    if (ip === '::1') return '127.0.0.1';
+    if (ip.startsWith('::ffff:') && isIP(ip.slice(7)) === 4) return ip.slice(7);
+    return ip;
+};
+
+/**
+ * Matcher for a list of networks and single addresses; an empty list matches nothing.
+ * Throws on an invalid entry.
+ */
+export const createIpMatcher = (list = []) => {
+    const blockList = new BlockList();
+
+    for (const entry of list) {
+        const [address, prefix] = entry.split('/');
+        const type = isIP(address);
+        const bits = prefix === undefined ? null : Number(prefix);
+        if (!type || (bits !== null && !(Number.isInteger(bits) && bits >= 0 && bits <= (type === 4 ? 32 : 128)))) {
+            throw new Error(`Invalid network "${entry}"`);
+        }
+
+        const family = type === 4 ? 'ipv4' : 'ipv6';
+        if (bits === null) {
+            blockList.addAddress(address, family);
+        } else {
+            blockList.addSubnet(address, bits, family);
+        }
+    }
+
+    const match = (ip) => {
+        const type = isIP(ip || '');
+        return !!type && blockList.check(ip, type === 4 ? 'ipv4' : 'ipv6');
+    };
+    match.size = list.length;
+    return match;
+};
+
+// One hop of X-Forwarded-For / Forwarded: quotes, brackets and ports removed
+const parseHop = (value) => {
+    let ip = value.trim().replace(/^"|"$/g, '');
+    const bracketed = /^\[([^\]]+)\](?::\d+)?$/.exec(ip);
+    if (bracketed) {
+        ip = bracketed[1];
+    } else if (/^[\d.]+:\d+$/.test(ip)) {
+        ip = ip.slice(0, ip.lastIndexOf(':'));
+    }
+    return isIP(ip) ? normalizeIP(ip) : null;
+};
+
+// Client side first: "Forwarded: for=1.2.3.4, for=\"[2001:db8::1]:4711\"" / "X-Forwarded-For: 1.2.3.4, 10.0.0.2"
+export const forwardedHops = (forwarded, xForwardedFor) => {
+    if (forwarded) {
+        return forwarded.split(',').map(element => {
+            const pair = element.split(';').map(p => p.trim()).find(p => /^for=/i.test(p));
+            return pair ? parseHop(pair.slice(4)) : null;
+        });
+    }
+    return (xForwardedFor || '').split(',').filter(v => v.trim()).map(parseHop);
+};
+
+/**
+ * Client address behind trusted proxies: the hops are read from the nearest one
+ * back, and the first address that is not a trusted proxy is the client. Headers
+ * are only believed when the connection itself comes from a trusted proxy.
+ */
+export const resolveClientIP = (remote, headers, isTrusted) => {
+    if (!isTrusted.size || !isTrusted(remote)) {
+        return remote;
+    }
+
+    const hops = forwardedHops(headers.forwarded, headers.xForwardedFor);
+    let client = remote;
+    for (let i = hops.length - 1; i >= 0; i--) {
+        // An unparseable hop cannot be trusted any further
+        if (!hops[i]) break;
+        client = hops[i];
+        if (!isTrusted(client)) break;
+    }
+    return client;
+};
+
+// Scheme the client used, as the outermost proxy saw it: "Forwarded: proto=https" (preferred)
+// or "X-Forwarded-Proto: https"; null when neither names http or https
+export const forwardedProto = (forwarded, xForwardedProto) => {
+    let proto = null;
+    if (forwarded) {
+        const pair = forwarded.split(',')[0].split(';').map(p => p.trim()).find(p => /^proto=/i.test(p));
+        proto = pair ? pair.slice(6).replace(/^"|"$/g, '') : null;
+    } else if (xForwardedProto) {
+        proto = xForwardedProto.split(',')[0];
+    }
+    proto = proto?.trim().toLowerCase();
+    return proto === 'http' || proto === 'https' ? proto : null;
+};
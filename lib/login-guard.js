@@ -0,0 +1,81 @@
+// lib/login-guard.js
+// Failed login attempts per client: after `maxAttempts` failures the client is
+// locked out, and every further lockout doubles in length up to `maxLockout`.
+// A client's record is forgotten `window` ms after its last failure or lockout.
+
+import {
+    LRUCache
+} from 'lru-cache';
+
+/**
+ * options.maxAttempts - failures allowed before a lockout
+ * options.window      - ms a record is kept after the last failure or lockout
+ * options.lockout     - first lockout in ms
+ * options.maxLockout  - longest lockout in ms
+ * options.maxClients  - clients tracked at most (least recently seen are dropped)
+ */
+export const createLoginGuard = (options = {}) => {
+    const {
+        maxAttempts = 5,
+        window = 15 * 60 * 1000,
+        lockout = 60 * 1000,
+        maxLockout = 60 * 60 * 1000,
+        maxClients = 10000,
+    } = options;
+
+    // client -> { failures, lockouts, lockedUntil }
+    const records = new LRUCache({
+        max: maxClients,
+        ttl: window,
+    });
+
+    const keep = (client, record, now) => {
+        const until = Math.max(record.lockedUntil, now) + window;
+        records.set(client, record, {
+            ttl: until - now
+        });
+    };
+
+    return {
+        // { locked, retryAfter (seconds), remaining (attempts before the next lockout) }
+        status: (client, now = Date.now()) => {
+            const record = records.get(client);
+            if (record && record.lockedUntil > now) {
+                return {
+                    locked: true,
+                    retryAfter: Math.ceil((record.lockedUntil - now) / 1000),
+                    remaining: 0,
+                };
+            }
+            return {
+                locked: false,
+                retryAfter: 0,
+                remaining: maxAttempts - (record?.failures || 0),
+            };
+        },
+
+        // Records a failure; returns the lockout in ms when this failure starts one, else 0
+        fail: (client, now = Date.now()) => {
+            const record = records.get(client) || {
+                failures: 0,
+                lockouts: 0,
+                lockedUntil: 0,
+            };
+            record.failures++;
+
+            let duration = 0;
+            if (record.failures >= maxAttempts) {
+                duration = Math.min(lockout * 2 ** record.lockouts, maxLockout);
+                record.lockouts++;
+                record.failures = 0;
+                record.lockedUntil = now + duration;
+            }
+            keep(client, record, now);
+            return duration;
+        },
+
+        succeed: (client) => {
+            records.delete(client);
+        },
+    };
+};
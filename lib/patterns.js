@@ -0,0 +1,36 @@
+// lib/patterns.js
+// Path patterns used in rule files: a glob ("/api/*", "*.zip") or a regular
+// expression written as "/pattern/flags"
+
+import {
+    escapeRegExp
+} from './url-rewriter.js';
+
+// "*" matches any run of characters (including "/"), "?" one character
+export const globToRegExp = (glob, flags = '') => new RegExp(
+    '^' + glob.split('*').map(part => part.split('?').map(escapeRegExp).join('.')).join('.*') + '$',
+    flags
+);
+
+const REGEX_LITERAL = /^\/(.+)\/([a-z]*)$/;
+
+export const isRegexPattern = (pattern) => REGEX_LITERAL.test(pattern) && /[\\^$()[\]|+{}]/.test(pattern);
+
+export const compilePattern = (pattern, flags = '') => {
+    if (pattern instanceof RegExp) return pattern;
+
+    const literal = REGEX_LITERAL.exec(pattern);
+    if (literal && isRegexPattern(pattern)) {
+        return new RegExp(literal[1], literal[2] || flags);
+    }
+    return globToRegExp(pattern, flags);
+};
+
+// A list of patterns as one matcher; an empty or missing list matches everything
+export const compilePatterns = (patterns, flags = '') => {
+    if (!patterns || (Array.isArray(patterns) && patterns.length === 0)) {
+        return () => true;
+    }
+    const compiled = (Array.isArray(patterns) ? patterns : [patterns]).map(p => compilePattern(p, flags));
+    return (value) => compiled.some(regex => regex.test(value));
+};
@@ -0,0 +1,275 @@
+// lib/prewarm.js
+// Cache prewarm job: collect mirror URLs from sitemaps, URL lists and a
+// same-site crawl, then request each one through the normal proxy pipeline
+//
+// {
+//     "base": "https://mirror.example.com",   // mirror URL relative entries resolve against
+//     "sitemap": "/sitemap.xml",              // or true, or a list; sitemap indexes are followed
+//     "urls": ["/", "/docs/"],                // URLs or paths
+//     "urlsFile": "./urls.txt",               // one URL or path per line, "#" comments (PREWARM_FILE only)
+//     "crawl": { "start": ["/"], "depth": 2 },// follow same-site links from HTML pages
+//     "concurrency": 4,                       // parallel requests
+//     "rate": 10,                             // max requests per second, 0 = unlimited
+//     "limit": 1000                           // max pages to fetch
+// }
+
+import {
+    readFile
+} from 'node:fs/promises';
+import {
+    rewriteHtmlResponse
+} from './html-rewriter.js';
+
+const MAX_SITEMAP_DEPTH = 3;
+const MAX_ERRORS = 20;
+
+// Attributes followed by the crawler
+const CRAWL_ATTRIBUTES = ['href', 'src'];
+
+const toList = (value) => value === undefined || value === null || value === false ? [] : Array.isArray(value) ? value : [value];
+
+const decodeEntities = (value) => value
+    .replace(/&amp;/g, '&')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;|&#0?39;/g, "'");
+
+// <loc> values of a sitemap or sitemap index
+const parseSitemap = (xml) => ({
+    isIndex: /<sitemapindex[\s>]/i.test(xml),
+    locs: [...xml.matchAll(/<loc>\s*(?:<!\[CDATA\[)?(.*?)(?:\]\]>)?\s*<\/loc>/gis)].map(match => decodeEntities(match[1].trim())),
+});
+
+/**
+ * Create a prewarm job from a job spec (see above).
+ *
+ * options.fetch(url)      - request a mirror URL through the app, resolves to a Response
+ * options.toMirrorUrl(url) - map a URL found in a sitemap to the mirror, or null to skip it
+ *                            (sitemaps with rewriting disabled still list origin URLs)
+ */
+export const createPrewarmJob = (spec, options) => {
+    const base = new URL(spec.base);
+    const concurrency = Math.max(1, parseInt(spec.concurrency ?? 4, 10));
+    const rate = Math.max(0, Number(spec.rate ?? 10));
+    const limit = Math.max(1, parseInt(spec.limit ?? 1000, 10));
+    const crawlDepth = spec.crawl ? Math.max(0, parseInt(spec.crawl.depth ?? 1, 10)) : -1;
+
+    const state = {
+        status: 'pending',
+        base: base.origin,
+        startedAt: null,
+        finishedAt: null,
+        queued: 0,
+        fetched: 0,
+        cached: 0,
+        failed: 0,
+        sitemaps: 0,
+        errors: [],
+    };
+
+    const seen = new Set();
+    const queue = [];
+    let cancelled = false;
+    let nextStart = 0;
+
+    const resolveUrl = (value, from = base) => {
+        try {
+            const url = new URL(value, from);
+            url.hash = '';
+            return url;
+        } catch {
+            return null;
+        }
+    };
+
+    // Only pages of the mirror being warmed are fetched; `from` is the page a crawled
+    // link was found on
+    const enqueue = (value, depth, from = base) => {
+        const url = resolveUrl(value, from);
+        if (!url || url.origin !== base.origin || seen.has(url.href) || seen.size >= limit) {
+            return;
+        }
+        seen.add(url.href);
+        queue.push({
+            url: url.href,
+            depth
+        });
+        state.queued = seen.size;
+    };
+
+    const recordError = (url, error) => {
+        state.failed++;
+        state.errors.push({
+            url,
+            error
+        });
+        if (state.errors.length > MAX_ERRORS) {
+            state.errors.shift();
+        }
+    };
+
+    // Space requests out to stay under the rate limit
+    const throttle = async () => {
+        if (!rate) return;
+        const now = Date.now();
+        const wait = nextStart - now;
+        nextStart = Math.max(now, nextStart) + 1000 / rate;
+        if (wait > 0) {
+            await new Promise(resolve => setTimeout(resolve, wait));
+        }
+    };
+
+    const loadSitemap = async (value, depth) => {
+        const url = resolveUrl(value);
+        if (!url || cancelled) return;
+
+        await throttle();
+        try {
+            const response = await options.fetch(url.href);
+            if (!response.ok) {
+                await response.body?.cancel();
+                recordError(url.href, `HTTP ${response.status}`);
+                return;
+            }
+
+            state.sitemaps++;
+            const { isIndex, locs } = parseSitemap(await response.text());
+            for (const loc of locs) {
+                const mirrorUrl = options.toMirrorUrl(loc);
+                if (!mirrorUrl) continue;
+
+                if (isIndex) {
+                    if (depth < MAX_SITEMAP_DEPTH) {
+                        await loadSitemap(mirrorUrl, depth + 1);
+                    }
+                } else {
+                    enqueue(mirrorUrl, 0);
+                }
+            }
+        } catch (error) {
+            recordError(url.href, error.message);
+        }
+    };
+
+    const loadUrlsFile = async (file) => {
+        try {
+            const lines = (await readFile(file, 'utf-8')).split(/\r?\n/);
+            for (const line of lines) {
+                const entry = line.trim();
+                if (entry && !entry.startsWith('#')) {
+                    enqueue(entry, 0);
+                }
+            }
+        } catch (error) {
+            recordError(file, error.message);
+        }
+    };
+
+    // Fetch one page; HTML pages within the crawl depth have their links queued
+    const warm = async ({ url, depth }) => {
+        await throttle();
+        try {
+            const response = await options.fetch(url);
+            const xCache = response.headers.get('x-cache') || '';
+            const crawl = depth < crawlDepth && response.ok &&
+                (response.headers.get('content-type') || '').includes('text/html');
+
+            if (crawl) {
+                const links = [];
+                // Relative links resolve against the page, or its first <base href>
+                let baseHref = null;
+                await rewriteHtmlResponse(response, {
+                    element(el) {
+                        if (el.name === 'base') {
+                            const href = el.getAttribute('href');
+                            if (href && baseHref === null) baseHref = decodeEntities(href);
+                            return;
+                        }
+                        for (const name of CRAWL_ATTRIBUTES) {
+                            const value = el.getAttribute(name);
+                            if (value) links.push(decodeEntities(value));
+                        }
+                    },
+                }).arrayBuffer();
+                const pageBase = (baseHref !== null && resolveUrl(baseHref, url)) || url;
+                links.forEach(link => enqueue(link, depth + 1, pageBase));
+            } else {
+                // Read to the end without holding large files in memory
+                await response.body?.pipeTo(new WritableStream());
+            }
+
+            if (!response.ok) {
+                recordError(url, `HTTP ${response.status}`);
+                return;
+            }
+            state.fetched++;
+            if (xCache.startsWith('MISS (Cached)') || xCache === 'HIT' || xCache === 'COALESCED') {
+                state.cached++;
+            }
+        } catch (error) {
+            recordError(url, error.message);
+        }
+    };
+
+    // Pages being fetched; while any is running the crawler may still add links
+    let active = 0;
+
+    const worker = async () => {
+        while (!cancelled) {
+            if (!queue.length) {
+                if (!active) return;
+                await new Promise(resolve => setTimeout(resolve, 50));
+                continue;
+            }
+
+            active++;
+            try {
+                await warm(queue.shift());
+            } finally {
+                active--;
+            }
+        }
+    };
+
+    const run = async () => {
+        state.status = 'running';
+        state.startedAt = new Date().toISOString();
+
+        for (const sitemap of toList(spec.sitemap)) {
+            await loadSitemap(sitemap === true ? '/sitemap.xml' : sitemap, 0);
+        }
+        for (const file of toList(spec.urlsFile)) {
+            await loadUrlsFile(file);
+        }
+        toList(spec.urls).forEach(url => enqueue(url, 0));
+        toList(spec.crawl?.start ?? (spec.crawl ? '/' : [])).forEach(url => enqueue(url, 0));
+
+        await Promise.all(Array.from({
+            length: concurrency
+        }, worker));
+
+        state.status = cancelled ? 'cancelled' : 'done';
+        state.finishedAt = new Date().toISOString();
+    };
+
+    return {
+        state,
+        start() {
+            run().catch((error) => {
+                state.status = 'failed';
+                state.finishedAt = new Date().toISOString();
+                recordError(base.href, error.message);
+            });
+        },
+        cancel() {
+            cancelled = true;
+        },
+        // Progress snapshot for the admin endpoint
+        status: () => ({
+            ...state,
+            remaining: queue.length,
+            errors: [...state.errors],
+        }),
+    };
+};
@@ -0,0 +1,58 @@
+// lib/range.js
+// Byte ranges (RFC 9110 §14) for responses served from the cache.
+// Only single ranges are supported; a multi-range request gets the full response,
+// which the RFC allows.
+
+/**
+ * Range header -> { start, end } (inclusive) within a body of `size` bytes.
+ * Returns null when the full response should be sent (no header, other units,
+ * several ranges or an invalid one), false when the range cannot be satisfied (416).
+ */
+export const parseRange = (header, size) => {
+    if (!header) return null;
+
+    const match = /^\s*bytes\s*=\s*(\d*)\s*-\s*(\d*)\s*$/i.exec(header);
+    if (!match || (!match[1] && !match[2])) return null;
+
+    // "bytes=-500": the last 500 bytes
+    if (!match[1]) {
+        const length = parseInt(match[2], 10);
+        if (!length || !size) return false;
+        return {
+            start: Math.max(0, size - length),
+            end: size - 1,
+        };
+    }
+
+    const start = parseInt(match[1], 10);
+    const last = match[2] ? parseInt(match[2], 10) : Infinity;
+    if (last < start) return null;
+    if (start >= size) return false;
+
+    return {
+        start,
+        end: Math.min(last, size - 1),
+    };
+};
+
+/**
+ * If-Range: the range only applies while the client's copy is still current.
+ * An entity tag must match strongly, a date must equal Last-Modified.
+ */
+export const ifRangeMatches = (ifRange, etag, lastModified) => {
+    if (!ifRange) return true;
+
+    const value = ifRange.trim();
+    if (value.startsWith('"') || value.startsWith('W/')) {
+        return !!etag && !value.startsWith('W/') && !etag.startsWith('W/') && value === etag.trim();
+    }
+
+    const date = Date.parse(value);
+    return !isNaN(date) && !!lastModified && date === Date.parse(lastModified);
+};
+
+// "bytes 0-99/1000" -> 1000, null when the complete length is unknown ("*")
+export const contentRangeTotal = (header) => {
+    const match = /\/\s*(\d+)\s*$/.exec(header || '');
+    return match ? parseInt(match[1], 10) : null;
+};
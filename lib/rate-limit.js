@@ -0,0 +1,197 @@
+// lib/rate-limit.js
+// Token-bucket rate limits and bandwidth quotas per client
+//
+// {
+//     "name": "archives",               // unique, shown in /cache/usage
+//     "paths": ["*.zip", "*.tar.gz"],   // optional, mirror paths (default all)
+//     "sites": ["docs"],                // optional, site names
+//     "key": "token",                   // "token" (access token name, the IP without one) or "ip"
+//     "requestsPerSecond": 2,           // optional, bucket refill rate
+//     "burst": 10,                      // optional, bucket size (default max(1, requestsPerSecond))
+//     "bytesPerDay": "2gb"              // optional, response bytes, refilled evenly over the day
+// }
+//
+// Every matching rule applies with its own buckets; a request is refused while
+// any of them is empty.
+
+import {
+    LRUCache
+} from 'lru-cache';
+import {
+    compilePatterns
+} from './patterns.js';
+import {
+    parseSize
+} from './cache-store.js';
+
+const DAY = 24 * 60 * 60;
+
+const compileRule = (rule, index) => {
+    const name = rule.name || `#${index}`;
+    const key = rule.key || 'token';
+    if (!['token', 'ip'].includes(key)) {
+        throw new Error(`Rate limit ${name}: invalid key "${key}"`);
+    }
+
+    const requestsPerSecond = rule.requestsPerSecond !== undefined ? Number(rule.requestsPerSecond) : null;
+    if (requestsPerSecond !== null && !(requestsPerSecond > 0)) {
+        throw new Error(`Rate limit ${name}: invalid "requestsPerSecond"`);
+    }
+    const bytesPerDay = parseSize(rule.bytesPerDay, null);
+    if (requestsPerSecond === null && !bytesPerDay) {
+        throw new Error(`Rate limit ${name}: needs "requestsPerSecond" or "bytesPerDay"`);
+    }
+
+    return {
+        name,
+        key,
+        matchPath: compilePatterns(rule.paths),
+        sites: rule.sites || null,
+        requestsPerSecond,
+        burst: requestsPerSecond !== null ? Math.max(1, Number(rule.burst) || Math.ceil(requestsPerSecond)) : null,
+        bytesPerDay,
+    };
+};
+
+// A limits file is either a list of rules or { "rules": [...] }
+export const compileRateLimits = (parsed) => {
+    const rules = (Array.isArray(parsed) ? parsed : parsed?.rules || []).map(compileRule);
+
+    const names = new Set();
+    for (const { name } of rules) {
+        if (names.has(name)) {
+            throw new Error(`Duplicate rate limit name "${name}"`);
+        }
+        names.add(name);
+    }
+    return rules;
+};
+
+const bucket = (capacity, now) => ({
+    tokens: capacity,
+    updated: now,
+});
+
+const refill = (state, rate, capacity, now) => {
+    state.tokens = Math.min(capacity, state.tokens + (now - state.updated) / 1000 * rate);
+    state.updated = now;
+};
+
+const refillState = (state, now) => {
+    const { rule } = state;
+    if (state.requests) refill(state.requests, rule.requestsPerSecond, rule.burst, now);
+    if (state.bytes) refill(state.bytes, rule.bytesPerDay / DAY, rule.bytesPerDay, now);
+};
+
+// Seconds until the bucket holds `needed` tokens again
+const waitFor = (state, rate, needed) => Math.max(1, Math.ceil((needed - state.tokens) / rate));
+
+/**
+ * Limiter for compiled rules. `maxKeys` bounds the buckets kept in memory; a bucket
+ * that is dropped comes back full, which it would be after a day anyway.
+ */
+export const createRateLimiter = (rules, { maxKeys = 10000 } = {}) => {
+    // "<rule>|<key>" -> { rule, key, requests, bytes, usage }
+    const buckets = new LRUCache({
+        max: maxKeys,
+        ttl: DAY * 1000,
+        updateAgeOnGet: true,
+    });
+
+    const stateFor = (rule, key, now) => {
+        const id = `${rule.name}|${key}`;
+        let state = buckets.get(id);
+        if (!state) {
+            state = {
+                rule,
+                key,
+                requests: rule.requestsPerSecond !== null ? bucket(rule.burst, now) : null,
+                bytes: rule.bytesPerDay ? bucket(rule.bytesPerDay, now) : null,
+                usage: {
+                    since: now,
+                    requests: 0,
+                    bytes: 0,
+                    limited: 0,
+                },
+            };
+            buckets.set(id, state);
+        }
+        refillState(state, now);
+        return state;
+    };
+
+    return {
+        get size() {
+            return rules.length;
+        },
+
+        /**
+         * request: { path, siteName, ip, token }
+         * Returns { retryAfter, rule } when refused, otherwise { charge(bytes) } to count
+         * the response body against the byte quotas.
+         */
+        check: (request, now = Date.now()) => {
+            const states = rules
+                .filter(rule => rule.matchPath(request.path) && (!rule.sites || rule.sites.includes(request.siteName)))
+                .map(rule => stateFor(rule, rule.key === 'token' && request.token ? `token:${request.token}` : `ip:${request.ip}`, now));
+
+            // Nothing is taken unless every bucket allows the request
+            let refused = null;
+            for (const state of states) {
+                const { rule, requests, bytes } = state;
+                let retryAfter = 0;
+                if (requests && requests.tokens < 1) {
+                    retryAfter = waitFor(requests, rule.requestsPerSecond, 1);
+                }
+                // A download may overdraw the quota, the next request waits until it is paid back
+                if (bytes && bytes.tokens <= 0) {
+                    retryAfter = Math.max(retryAfter, waitFor(bytes, rule.bytesPerDay / DAY, 1));
+                }
+                if (retryAfter) {
+                    state.usage.limited++;
+                    if (!refused || retryAfter > refused.retryAfter) {
+                        refused = {
+                            retryAfter,
+                            rule: rule.name,
+                            key: state.key,
+                        };
+                    }
+                }
+            }
+            if (refused) {
+                return refused;
+            }
+
+            for (const state of states) {
+                if (state.requests) state.requests.tokens -= 1;
+                state.usage.requests++;
+            }
+            return {
+                charge: (size) => {
+                    for (const state of states) {
+                        if (state.bytes) state.bytes.tokens -= size;
+                        state.usage.bytes += size;
+                    }
+                },
+            };
+        },
+
+        // Current buckets, busiest first
+        usage: (now = Date.now()) => [...buckets.values()]
+            .map(state => {
+                const { rule, key, usage } = state;
+                refillState(state, now);
+                return {
+                    rule: rule.name,
+                    key,
+                    since: new Date(usage.since).toISOString(),
+                    requests: usage.requests,
+                    bytes: usage.bytes,
+                    limited: usage.limited,
+                    requestsAvailable: state.requests ? Math.floor(state.requests.tokens) : null,
+                    bytesAvailable: state.bytes ? Math.floor(state.bytes.tokens) : null,
+                };
+            })
+            .sort((a, b) => b.bytes - a.bytes || b.requests - a.requests),
+    };
+};
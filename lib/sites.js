@@ -0,0 +1,240 @@
+// lib/sites.js
+import {
+    readFileSync
+} from 'node:fs';
+import {
+    Pool
+} from 'undici';
+import {
+    LRUCache
+} from 'lru-cache';
+import {
+    compileHeaderRules
+} from './header-rules.js';
+import {
+    compileCacheKeyOptions
+} from './cache-key.js';
+
+// "cdn.example.com", "*.example.com" or "http://insecure.example.com"
+const normalizeExternalDomain = (entry) => {
+    const match = /^(?:(https?):\/\/)?([^/]+)\/?$/i.exec(String(entry).trim());
+    if (!match) {
+        throw new Error(`Invalid external domain "${entry}"`);
+    }
+    return {
+        protocol: (match[1] || 'https').toLowerCase(),
+        pattern: match[2].toLowerCase(),
+    };
+};
+
+// Build one site entry, filling unset fields from the global (env) defaults
+const normalizeSite = (raw, defaults, index) => {
+    if (!raw || !raw.origin) {
+        throw new Error(`Site #${index} is missing "origin"`);
+    }
+
+    const hosts = Array.isArray(raw.hosts) ? raw.hosts : [raw.hosts || raw.host || '*'];
+    const inject = raw.inject || {};
+    // "/npm/" -> "/npm", "/" or "" -> ""
+    const prefix = raw.prefix ? `/${String(raw.prefix).replace(/^\/+|\/+$/g, '')}` : '';
+
+    const site = {
+        name: raw.name || raw.origin,
+        hosts: hosts.map(h => String(h).toLowerCase()),
+        prefix: prefix === '/' ? '' : prefix,
+        protocol: raw.protocol || defaults.protocol,
+        origin: raw.origin,
+        accessToken: raw.accessToken !== undefined ? raw.accessToken : defaults.accessToken,
+        rewriteTypes: raw.rewriteTypes || defaults.rewriteTypes,
+        // Per-site header rules run after the global ones, without the built-in defaults
+        headerRules: compileHeaderRules(raw.headerRules || [], false),
+        cookiePrefix: raw.cookiePrefix !== undefined ? raw.cookiePrefix : defaults.cookiePrefix || '',
+        // Cache key options, each field falls back to the global one
+        cacheKey: compileCacheKeyOptions({
+            ...defaults.cacheKey,
+            ...raw.cacheKey,
+        }),
+        externalDomains: (raw.externalDomains || defaults.externalDomains || []).map(normalizeExternalDomain),
+        inject: {
+            headBegin: inject.headBegin !== undefined ? inject.headBegin : defaults.inject.headBegin,
+            headEnd: inject.headEnd !== undefined ? inject.headEnd : defaults.inject.headEnd,
+            bodyBegin: inject.bodyBegin !== undefined ? inject.bodyBegin : defaults.inject.bodyBegin,
+            bodyEnd: inject.bodyEnd !== undefined ? inject.bodyEnd : defaults.inject.bodyEnd,
+        },
+    };
+
+    site.poolOptions = {
+        connections: defaults.maxConnections,
+        keepAliveTimeout: defaults.keepAliveTimeout,
+    };
+    site.pool = new Pool(`${site.protocol}://${site.origin}`, site.poolOptions);
+
+    return site;
+};
+
+// Load the site list from a JSON file, or fall back to a single catch-all
+// site built from PROXY_ORIGIN so existing single-origin setups keep working
+export const loadSites = (file, defaults) => {
+    if (!file) {
+        return [normalizeSite({
+            name: 'default',
+            hosts: ['*'],
+            origin: defaults.origin,
+        }, defaults, 0)];
+    }
+
+    const parsed = JSON.parse(readFileSync(file, 'utf-8'));
+    const list = Array.isArray(parsed) ? parsed : parsed.sites;
+
+    if (!Array.isArray(list) || list.length === 0) {
+        throw new Error(`No sites defined in ${file}`);
+    }
+
+    const sites = list.map((raw, index) => normalizeSite(raw, defaults, index));
+
+    const names = new Set();
+    const mounts = new Set();
+    for (const site of sites) {
+        if (names.has(site.name)) {
+            throw new Error(`Duplicate site name "${site.name}" in ${file}`);
+        }
+        names.add(site.name);
+
+        for (const host of site.hosts) {
+            const mount = `${host}${site.prefix}`;
+            if (mounts.has(mount)) {
+                throw new Error(`Duplicate mount "${mount}" (site "${site.name}") in ${file}`);
+            }
+            mounts.add(mount);
+        }
+    }
+
+    return sites;
+};
+
+// Match a host pattern: exact host, "*.example.com" or the catch-all "*"
+export const matchHost = (pattern, host, hostname = host) => {
+    if (pattern === '*') return true;
+    if (pattern.startsWith('*.')) {
+        return hostname.endsWith(pattern.slice(1));
+    }
+    return pattern === host || pattern === hostname;
+};
+
+// Exact matches win over wildcards, the catch-all "*" is tried last
+const hostSpecificity = (pattern) => {
+    if (pattern === '*') return 0;
+    if (pattern.startsWith('*.')) return pattern.length;
+    return 1000 + pattern.length;
+};
+
+const matchPrefix = (prefix, path) => !prefix || path === prefix || path.startsWith(`${prefix}/`);
+
+// Longer path prefixes win, then more specific hosts
+export const createSiteResolver = (sites) => {
+    const routes = sites
+        .flatMap(site => site.hosts.map(pattern => ({
+            pattern,
+            site
+        })))
+        .sort((a, b) => (b.site.prefix.length - a.site.prefix.length) ||
+            (hostSpecificity(b.pattern) - hostSpecificity(a.pattern)));
+
+    const normalizeHost = (hostHeader) => {
+        const host = (hostHeader || '').toLowerCase();
+        return [host, host.replace(/:\d+$/, '')];
+    };
+
+    // Site serving this host and path
+    const resolve = (hostHeader, path = '/') => {
+        const [host, hostname] = normalizeHost(hostHeader);
+
+        for (const route of routes) {
+            if (matchHost(route.pattern, host, hostname) && matchPrefix(route.site.prefix, path)) {
+                return route.site;
+            }
+        }
+        return null;
+    };
+
+    // Every site reachable on this host, used to map origin URLs back to their mount
+    const mounts = (hostHeader) => {
+        const [host, hostname] = normalizeHost(hostHeader);
+        const found = [];
+
+        for (const route of routes) {
+            if (matchHost(route.pattern, host, hostname) && !found.includes(route.site)) {
+                found.push(route.site);
+            }
+        }
+        return found;
+    };
+
+    return {
+        resolve,
+        mounts
+    };
+};
+
+// Path on the origin for a mirror path, with the site's mount prefix removed
+export const stripSitePrefix = (site, path) => path.slice(site.prefix.length) || '/';
+
+// Mount point of a site's third-party domains: /<prefix>/__ext/<host>/<path>
+export const EXTERNAL_PATH = '/__ext/';
+
+// Pools for external domains are shared by all sites and created on first use.
+// Wildcard domains allow any number of hosts, so only the most recently used pools
+// are kept; an evicted pool finishes its requests and then closes its sockets
+const MAX_EXTERNAL_POOLS = 100;
+
+const externalPools = new LRUCache({
+    max: MAX_EXTERNAL_POOLS,
+    dispose: (pool) => {
+        pool.close().catch(() => {});
+    },
+});
+
+const externalPool = (poolKey, options) => {
+    let pool = externalPools.get(poolKey);
+    if (!pool) {
+        pool = new Pool(poolKey, options);
+        externalPools.set(poolKey, pool);
+    }
+    return pool;
+};
+
+/**
+ * Site-like entry for a request to one of the site's allowed external domains.
+ * `path` is the mirror path with the site prefix already removed.
+ * Returns undefined if the path is not an external path, null if the host is not allowed.
+ */
+export const resolveExternalSite = (site, path) => {
+    if (!path.startsWith(EXTERNAL_PATH)) return undefined;
+
+    const host = path.slice(EXTERNAL_PATH.length).split('/')[0].toLowerCase();
+    const domain = site.externalDomains.find(d => d.pattern !== '*' && matchHost(d.pattern, host));
+    if (!host || !domain) return null;
+
+    const poolKey = `${domain.protocol}://${host}`;
+
+    return {
+        ...site,
+        name: `${site.name}:ext:${host}`,
+        prefix: `${site.prefix}${EXTERNAL_PATH}${host}`,
+        protocol: domain.protocol,
+        origin: host,
+        // Subresources: nothing is injected into them
+        inject: {},
+        // Looked up when the request is made, the pool may have been evicted since
+        get pool() {
+            return externalPool(poolKey, site.poolOptions);
+        },
+        external: true,
+        parent: site,
+    };
+};
+
+export const closeSites = (sites) => Promise.all([
+    ...sites.map(site => site.pool.close()),
+    ...[...externalPools.values()].map(pool => pool.close()),
+]);
@@ -0,0 +1,352 @@
+// lib/snapshot.js
+// Offline static snapshot of the mirror: pages and assets are requested through
+// the app (rewriting, injection), written under one directory and their links
+// turned into relative paths so the copy can be browsed from disk.
+
+import {
+    createHash
+} from 'node:crypto';
+import {
+    mkdir,
+    readFile,
+    writeFile
+} from 'node:fs/promises';
+import {
+    posix,
+    join,
+    dirname
+} from 'node:path';
+import {
+    rewriteHtmlResponse
+} from './html-rewriter.js';
+import {
+    rewriteCss
+} from './url-rewriter.js';
+import {
+    convertElement
+} from '../middleware/convert-link';
+
+// Links from these elements lead to other pages and count towards the crawl depth;
+// everything else (images, scripts, styles...) is an asset of the current page
+const NAVIGATION_ELEMENTS = ['a', 'area', 'iframe', 'frame'];
+
+const EXTENSIONS = {
+    'text/html': '.html',
+    'application/xhtml+xml': '.html',
+    'text/css': '.css',
+    'application/javascript': '.js',
+    'text/javascript': '.js',
+    'application/json': '.json',
+    'application/manifest+json': '.webmanifest',
+    'application/xml': '.xml',
+    'text/xml': '.xml',
+    'image/svg+xml': '.svg',
+    'text/plain': '.txt',
+};
+
+const MANIFEST_FILE = 'snapshot-manifest.json';
+
+const mimeType = (contentType) => (contentType || '').split(';')[0].trim().toLowerCase();
+
+const decodeEntities = (value) => value.replace(/&amp;/g, '&').replace(/&quot;/g, '"').replace(/&#0?39;/g, "'");
+
+const safeSegment = (segment) => {
+    let decoded;
+    try {
+        decoded = decodeURIComponent(segment);
+    } catch {
+        decoded = segment;
+    }
+    return decoded === '..' || decoded === '.' ? '_' : decoded.replace(/[\\/:*?"<>|\x00-\x1f]/g, '_');
+};
+
+/**
+ * Local file (relative to the snapshot root) for a URL:
+ * "/" -> "index.html", "/docs/" -> "docs/index.html", "/about" (HTML) -> "about/index.html",
+ * "/a.css?v=2" -> "a_<hash>.css"
+ */
+export const localPath = (url, contentType) => {
+    const ext = EXTENSIONS[mimeType(contentType)] || '';
+    const segments = url.pathname.split('/').slice(1).map(safeSegment);
+    let name = segments.pop() || '';
+
+    if (!name) {
+        name = `index${ext || '.html'}`;
+    } else if (!/\.[a-z0-9]+$/i.test(name)) {
+        if (ext === '.html') {
+            segments.push(name);
+            name = 'index.html';
+        } else {
+            name += ext;
+        }
+    } else if (ext === '.html' && !/\.html?$/i.test(name)) {
+        // "/page.php" served as HTML
+        name += ext;
+    }
+
+    if (url.search) {
+        const hash = createHash('sha1').update(url.search).digest('hex').slice(0, 8);
+        const dot = name.lastIndexOf('.');
+        name = dot > 0 ? `${name.slice(0, dot)}_${hash}${name.slice(dot)}` : `${name}_${hash}`;
+    }
+
+    return posix.join(...segments, name);
+};
+
+/**
+ * Crawl the mirror and write a static copy.
+ *
+ * options.base        - mirror URL to export, e.g. "https://mirror.example.com/docs/";
+ *                       only URLs under it are fetched
+ * options.outDir      - output directory
+ * options.start       - start paths or URLs (default the base itself)
+ * options.depth       - how many page links deep to follow (assets are always fetched)
+ * options.limit       - max URLs to fetch
+ * options.concurrency - parallel requests
+ * options.fetch(url)  - request a mirror URL through the app, resolves to a Response
+ * Returns the manifest that is also written to snapshot-manifest.json.
+ */
+export const exportSnapshot = async (options) => {
+    const {
+        outDir,
+        start = [],
+        depth: maxDepth = 2,
+        limit = 500,
+        concurrency = 4,
+        fetch,
+        log = console.log,
+    } = options;
+    const base = new URL(options.base);
+
+    // url -> { url, depth, file, status, contentType, size } / { url, error }
+    const fetched = new Map();
+    const failed = [];
+    // Redirected URL -> target URL
+    const redirects = new Map();
+    const seen = new Set();
+    const queue = [];
+
+    const inScope = (url) => url.origin === base.origin && url.pathname.startsWith(base.pathname);
+
+    const enqueue = (value, from, depth) => {
+        let url;
+        try {
+            url = new URL(decodeEntities(value.trim()), from);
+        } catch {
+            return;
+        }
+        url.hash = '';
+        if (!/^https?:$/.test(url.protocol) || !inScope(url) || seen.has(url.href) || seen.size >= limit) {
+            return;
+        }
+        seen.add(url.href);
+        queue.push({
+            url: url.href,
+            depth
+        });
+    };
+
+    // Links of an HTML page: page links go one level deeper, assets stay at the page's depth
+    const collectHtmlLinks = async (response, pageUrl, depth) => {
+        const links = [];
+        let currentNav = false;
+        const collect = (value) => {
+            links.push({
+                value,
+                nav: currentNav
+            });
+            return value;
+        };
+
+        await rewriteHtmlResponse(response, {
+            element(el) {
+                currentNav = NAVIGATION_ELEMENTS.includes(el.name);
+                convertElement(el, collect, []);
+            },
+            text(text, rawTag) {
+                if (rawTag === 'style') {
+                    currentNav = false;
+                    rewriteCss(text, collect);
+                }
+                return text;
+            },
+            bufferRawText: ['style'],
+        }).text();
+
+        for (const { value, nav } of links) {
+            if (!nav) {
+                enqueue(value, pageUrl, depth);
+            } else if (depth < maxDepth) {
+                enqueue(value, pageUrl, depth + 1);
+            }
+        }
+    };
+
+    const save = async (file, body) => {
+        const path = join(outDir, file);
+        await mkdir(dirname(path), {
+            recursive: true
+        });
+        await writeFile(path, body);
+    };
+
+    const fetchOne = async ({ url, depth }) => {
+        try {
+            const response = await fetch(url);
+
+            if (response.status >= 300 && response.status < 400 && response.headers.get('location')) {
+                await response.body?.cancel();
+                const target = new URL(response.headers.get('location'), url);
+                target.hash = '';
+                redirects.set(url, target.href);
+                enqueue(target.href, url, depth);
+                return;
+            }
+
+            if (!response.ok) {
+                await response.body?.cancel();
+                failed.push({
+                    url,
+                    status: response.status
+                });
+                return;
+            }
+
+            const contentType = response.headers.get('content-type') || '';
+            const type = mimeType(contentType);
+            const file = localPath(new URL(url), contentType);
+            let body;
+
+            if (EXTENSIONS[type] === '.html') {
+                const [forLinks, forFile] = response.body.tee();
+                [, body] = await Promise.all([
+                    collectHtmlLinks(new Response(forLinks, {
+                        headers: response.headers
+                    }), url, depth),
+                    new Response(forFile).arrayBuffer(),
+                ]);
+            } else {
+                body = await response.arrayBuffer();
+                if (type === 'text/css') {
+                    rewriteCss(new TextDecoder().decode(body), (value) => {
+                        enqueue(value, url, depth);
+                        return value;
+                    });
+                }
+            }
+
+            await save(file, new Uint8Array(body));
+            fetched.set(url, {
+                url,
+                file,
+                status: response.status,
+                contentType,
+                size: body.byteLength,
+            });
+            log(`Saved ${url} -> ${file}`);
+        } catch (error) {
+            failed.push({
+                url,
+                error: error.message
+            });
+        }
+    };
+
+    const resolveFetched = (url) => {
+        const visited = new Set();
+        while (redirects.has(url) && !visited.has(url)) {
+            visited.add(url);
+            url = redirects.get(url);
+        }
+        return fetched.get(url);
+    };
+
+    // Mirror URL in a saved file -> path relative to that file (fragment kept);
+    // URLs that were not saved stay as they are
+    const relativeRewriter = (pageUrl, pageFile) => (value) => {
+        const leading = value.match(/^\s*/)[0];
+        let url;
+        try {
+            url = new URL(decodeEntities(value.trim()), pageUrl);
+        } catch {
+            return value;
+        }
+        const hash = url.hash;
+        url.hash = '';
+
+        const target = resolveFetched(url.href);
+        if (!target) {
+            return value;
+        }
+        const relative = posix.relative(posix.dirname(pageFile), target.file) || posix.basename(target.file);
+        return leading + relative + hash;
+    };
+
+    const relink = async (entry) => {
+        const type = mimeType(entry.contentType);
+        const path = join(outDir, entry.file);
+        const rewriteUrl = relativeRewriter(entry.url, entry.file);
+
+        if (EXTENSIONS[type] === '.html') {
+            const html = await rewriteHtmlResponse(new Response(await readFile(path), {
+                headers: {
+                    'content-type': entry.contentType
+                },
+            }), {
+                element(el) {
+                    // <base> would send relative links back to the mirror
+                    if (el.name === 'base') {
+                        el.removeAttribute('href');
+                    }
+                    convertElement(el, rewriteUrl, ['js', 'css']);
+                },
+                text(text, rawTag) {
+                    return rawTag === 'style' ? rewriteCss(text, rewriteUrl) : text;
+                },
+                bufferRawText: ['style'],
+            }).text();
+            await writeFile(path, html);
+        } else if (type === 'text/css') {
+            await writeFile(path, rewriteCss(await readFile(path, 'utf-8'), rewriteUrl));
+        }
+    };
+
+    const startList = start.length ? start : [base.href];
+    startList.forEach(value => enqueue(value, base, 0));
+
+    // Pages being fetched; while any is running more links may still be queued
+    let active = 0;
+    const worker = async () => {
+        while (queue.length || active) {
+            if (!queue.length) {
+                await new Promise(resolve => setTimeout(resolve, 20));
+                continue;
+            }
+            active++;
+            try {
+                await fetchOne(queue.shift());
+            } finally {
+                active--;
+            }
+        }
+    };
+    await Promise.all(Array.from({
+        length: Math.max(1, concurrency)
+    }, worker));
+
+    for (const entry of fetched.values()) {
+        await relink(entry);
+    }
+
+    const manifest = {
+        base: base.href,
+        createdAt: new Date().toISOString(),
+        entry: resolveFetched(new URL(startList[0], base).href)?.file || null,
+        fetched: [...fetched.values()],
+        redirects: Object.fromEntries(redirects),
+        failed,
+    };
+    await save(MANIFEST_FILE, JSON.stringify(manifest, null, 2));
+
+    return manifest;
+};
@@ -0,0 +1,61 @@
+// lib/text-rewriter.js
+// Streaming rewriter for non-HTML text bodies (CSS, JS, JSON, XML). Each chunk
+// is cut after the last separator character so no URL is split between two
+// rewrite calls; the remainder waits for the next chunk.
+
+// Text without any separator is rewritten anyway once it grows past this
+const MAX_PENDING_LENGTH = 1024 * 1024;
+
+const lastIndexOfAny = (text, separators) => {
+    let index = -1;
+    for (const separator of separators) {
+        index = Math.max(index, text.lastIndexOf(separator));
+    }
+    return index;
+};
+
+/**
+ * rewrite(text)  - returns the rewritten text of a piece of the body
+ * separators     - characters no rewritten URL can span; an empty list
+ *                  buffers the whole body and rewrites it once
+ */
+export const createTextRewriter = (rewrite, separators = []) => {
+    const decoder = new TextDecoder();
+    const encoder = new TextEncoder();
+    let buffer = '';
+
+    return new TransformStream({
+        transform(chunk, controller) {
+            buffer += typeof chunk === 'string' ? chunk : decoder.decode(chunk, {
+                stream: true
+            });
+
+            let cut = lastIndexOfAny(buffer, separators) + 1;
+            if (!cut && buffer.length > MAX_PENDING_LENGTH) {
+                cut = buffer.length;
+            }
+            if (cut) {
+                controller.enqueue(encoder.encode(rewrite(buffer.slice(0, cut))));
+                buffer = buffer.slice(cut);
+            }
+        },
+        flush(controller) {
+            buffer += decoder.decode();
+            if (buffer) {
+                controller.enqueue(encoder.encode(rewrite(buffer)));
+            }
+        },
+    });
+};
+
+// Pipe a Response body through the rewriter, Content-Length is dropped
+export const rewriteTextResponse = (response, rewrite, separators) => {
+    const headers = new Headers(response.headers);
+    headers.delete('content-length');
+
+    return new Response(response.body.pipeThrough(createTextRewriter(rewrite, separators)), {
+        status: response.status,
+        statusText: response.statusText,
+        headers,
+    });
+};
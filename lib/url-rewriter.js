@@ -0,0 +1,108 @@
+// lib/url-rewriter.js
+// Map origin URLs found in page content back to the mirror
+
+export const escapeRegExp = (string) => string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// "origin.com" or "*.origin.com" (any subdomain), captured as one group
+const originPattern = (origin) => origin.startsWith('*.')
+    ? '((?:[a-z0-9-]+\\.)+' + escapeRegExp(origin.slice(2)) + ')'
+    : '(' + escapeRegExp(origin) + ')';
+
+// "{host}" in a target stands for the matched origin host
+const resolveTarget = (target, host) => target.replace('{host}', host.toLowerCase());
+
+/**
+ * Build a function that rewrites a single URL value.
+ *
+ * mappings:   [{ origin, target }] - "http(s)://origin/..." and "//origin/..."
+ *             become "http(s)://target/..." / "//target/...". origin may be
+ *             "*.example.com", target may contain "{host}" for the matched host
+ * pathPrefix: mount prefix (e.g. "/npm") added to root-relative URLs ("/path")
+ */
+export const createUrlRewriter = ({ mappings = [], pathPrefix = '' }) => {
+    const compiled = mappings.map((item) => ({
+        // Only the full origin host matches, so origin.com.evil.com is left alone
+        regex: new RegExp('^((?:https?:)?\\/\\/)' + originPattern(item.origin) + '(?=[/?#]|$)', 'i'),
+        target: item.target,
+    }));
+
+    return (value) => {
+        if (!value) return value;
+
+        const leading = value.match(/^\s*/)[0];
+        const url = value.slice(leading.length);
+
+        if (pathPrefix && /^\/(?!\/)/.test(url)) {
+            return leading + pathPrefix + url;
+        }
+        for (const { regex, target } of compiled) {
+            if (regex.test(url)) {
+                return leading + url.replace(regex, (match, protocol, host) => protocol + resolveTarget(target, host));
+            }
+        }
+        return value;
+    };
+};
+
+// "a.png 1x, b.png 2x" / "a.png 480w, ..." - a URL runs to the next whitespace
+// (it may contain commas), its descriptors run to the next comma
+export const rewriteSrcset = (value, rewriteUrl) => {
+    let out = '';
+    let i = 0;
+
+    while (i < value.length) {
+        const separator = value.slice(i).match(/^[\s,]*/)[0];
+        out += separator;
+        i += separator.length;
+        if (i >= value.length) break;
+
+        const candidate = value.slice(i).match(/^\S+/)[0];
+        const trailingCommas = candidate.match(/,*$/)[0];
+        const url = candidate.slice(0, candidate.length - trailingCommas.length);
+        out += rewriteUrl(url) + trailingCommas;
+        i += candidate.length;
+        if (trailingCommas) continue;
+
+        const descriptors = value.slice(i).match(/^[^,]*/)[0];
+        out += descriptors;
+        i += descriptors.length;
+    }
+
+    return out;
+};
+
+// <meta http-equiv="refresh" content="5; url=https://origin/next">
+export const rewriteRefresh = (value, rewriteUrl) => value.replace(
+    /^(\s*[\d.]*\s*[;,]\s*url\s*=\s*)(['"]?)(.*?)\2(\s*)$/is,
+    (match, before, quote, url, after) => before + quote + rewriteUrl(url) + quote + after
+);
+
+// url(...) and @import "..." in stylesheets and style attributes
+// (style attributes may quote with &quot; since they sit inside an HTML attribute)
+export const rewriteCss = (css, rewriteUrl) => css
+    .replace(/url\(\s*(['"]|&quot;|&#0?39;)?(.*?)\1\s*\)/gi,
+        (match, quote = '', url) => `url(${quote}${rewriteUrl(url)}${quote})`)
+    .replace(/@import\s+(['"])([^'"]+)\1/gi,
+        (match, quote, url) => `@import ${quote}${rewriteUrl(url)}${quote}`);
+
+/**
+ * Build a function that rewrites absolute origin URLs anywhere in a text body
+ * (scripts, JSON, XML). Both "https://origin" and the JSON-escaped
+ * "https:\/\/origin" forms are matched; root-relative paths are left alone
+ * since they cannot be told apart from other strings.
+ */
+export const createTextUrlRewriter = ({ mappings = [] }) => {
+    const compiled = mappings.map((item) => ({
+        regex: new RegExp('((?:https?:)?(?:\\/\\/|\\\\\\/\\\\\\/))' + originPattern(item.origin) + '(?![\\w.:-])', 'gi'),
+        target: item.target,
+    }));
+
+    return (text) => {
+        for (const { regex, target } of compiled) {
+            text = text.replace(regex, (match, protocol, host) => protocol.includes('\\')
+                ? protocol + resolveTarget(target, host).replace(/\//g, '\\/')
+                : protocol + resolveTarget(target, host));
+        }
+        return text;
+    };
+};
@@ -0,0 +1,466 @@
+// lib/warc.js
+// WARC (ISO 28500, WARC/1.1) recording of origin exchanges and replay from the
+// recorded files.
+//
+// Every proxied origin exchange becomes a "response" record (status line,
+// headers, body) plus a "request" record pointing at it with WARC-Concurrent-To.
+// Files are uncompressed ".warc"; each one starts with a "warcinfo" record and a
+// new file is started once the current one reaches the size limit.
+//
+// Replay indexes the "response" records of every .warc file in a directory by
+// method and target URI, the last capture of a URL wins.
+
+import {
+    createHash,
+    randomUUID
+} from 'node:crypto';
+import {
+    createReadStream
+} from 'node:fs';
+import {
+    mkdir,
+    open,
+    readdir
+} from 'node:fs/promises';
+import {
+    STATUS_CODES
+} from 'node:http';
+import {
+    join
+} from 'node:path';
+import {
+    Readable
+} from 'node:stream';
+import {
+    createBrotliDecompress,
+    createGunzip,
+    createInflate
+} from 'node:zlib';
+
+const CRLF = '\r\n';
+const SOFTWARE = 'SiteMirror';
+
+// Transfer framing is undone by the HTTP client, recorded bodies are always de-chunked
+const SKIP_RECORD_HEADERS = ['transfer-encoding'];
+
+const warcDate = (date = new Date()) => date.toISOString().replace(/\.\d+Z$/, 'Z');
+
+const recordId = () => `<urn:uuid:${randomUUID()}>`;
+
+// RFC 4648 base32, the customary encoding of WARC digests
+const BASE32 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const base32 = (bytes) => {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+    for (const byte of bytes) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) {
+        output += BASE32[(value << (5 - bits)) & 31];
+    }
+    return output;
+};
+
+const sha1Digest = (...parts) => {
+    const hash = createHash('sha1');
+    parts.forEach(part => hash.update(part));
+    return `sha1:${base32(hash.digest())}`;
+};
+
+// Headers / undici header object -> "Name: value" lines (arrays become repeated lines)
+const headerLines = (headers) => {
+    const lines = [];
+    const entries = typeof headers.entries === 'function' ? headers.entries() : Object.entries(headers);
+    for (const [name, value] of entries) {
+        if (SKIP_RECORD_HEADERS.includes(name.toLowerCase())) continue;
+        for (const v of Array.isArray(value) ? value : [value]) {
+            lines.push(`${name}: ${v}`);
+        }
+    }
+    return lines;
+};
+
+const buildRecord = (fields, block) => {
+    const head = Buffer.from([
+        'WARC/1.1',
+        ...Object.entries(fields).filter(([, value]) => value !== undefined).map(([name, value]) => `${name}: ${value}`),
+        `Content-Length: ${block.length}`,
+        '',
+        '',
+    ].join(CRLF));
+    return Buffer.concat([head, block, Buffer.from(CRLF + CRLF)]);
+};
+
+/**
+ * Append-only WARC writer.
+ *
+ * options.dir           - directory for the .warc files
+ * options.maxFileSize   - start a new file once the current one is this large
+ * options.maxRecordSize - bodies larger than this are passed through but not recorded
+ */
+export const createWarcWriter = ({ dir, maxFileSize, maxRecordSize }) => {
+    let handle = null;
+    let fileName = '';
+    let fileSize = 0;
+    let sequence = 0;
+    // Records are appended one at a time
+    let pending = Promise.resolve();
+    const stats = {
+        files: 0,
+        records: 0,
+        skipped: 0,
+    };
+
+    const openFile = async () => {
+        await mkdir(dir, {
+            recursive: true
+        });
+        const stamp = warcDate().replace(/[-:TZ]/g, '');
+        fileName = `sitemirror-${stamp}-${String(sequence++).padStart(5, '0')}-${process.pid}.warc`;
+        handle = await open(join(dir, fileName), 'a');
+        fileSize = 0;
+        stats.files++;
+
+        const info = Buffer.from([
+            `software: ${SOFTWARE}`,
+            'format: WARC File Format 1.1',
+            'conformsTo: http://iipc.github.io/warc-specifications/specifications/warc-format/warc-1.1/',
+            '',
+        ].join(CRLF));
+        await append(buildRecord({
+            'WARC-Type': 'warcinfo',
+            'WARC-Date': warcDate(),
+            'WARC-Record-ID': recordId(),
+            'WARC-Filename': fileName,
+            'Content-Type': 'application/warc-fields',
+        }, info));
+    };
+
+    const append = async (data) => {
+        await handle.write(data);
+        fileSize += data.length;
+    };
+
+    const write = async (records) => {
+        if (!handle || fileSize >= maxFileSize) {
+            await handle?.close();
+            await openFile();
+        }
+        for (const record of records) {
+            await append(record);
+        }
+        stats.records++;
+    };
+
+    /**
+     * Queue one exchange.
+     * exchange: { url, method, path, requestHeaders, requestBody, statusCode, responseHeaders, body: Buffer }
+     */
+    const record = (exchange) => {
+        const date = warcDate();
+        const responseId = recordId();
+
+        const statusLine = `HTTP/1.1 ${exchange.statusCode} ${STATUS_CODES[exchange.statusCode] || ''}`.trimEnd();
+        const responseHead = Buffer.from([statusLine, ...headerLines(exchange.responseHeaders), '', ''].join(CRLF));
+        const responseBlock = Buffer.concat([responseHead, exchange.body]);
+
+        const requestBody = exchange.requestBody || Buffer.alloc(0);
+        const requestHead = Buffer.from([`${exchange.method} ${exchange.path} HTTP/1.1`, ...headerLines(exchange.requestHeaders), '', ''].join(CRLF));
+        const requestBlock = Buffer.concat([requestHead, requestBody]);
+
+        const records = [
+            buildRecord({
+                'WARC-Type': 'response',
+                'WARC-Record-ID': responseId,
+                'WARC-Date': date,
+                'WARC-Target-URI': exchange.url,
+                'WARC-Block-Digest': sha1Digest(responseBlock),
+                'WARC-Payload-Digest': sha1Digest(exchange.body),
+                'Content-Type': 'application/http;msgtype=response',
+            }, responseBlock),
+            buildRecord({
+                'WARC-Type': 'request',
+                'WARC-Record-ID': recordId(),
+                'WARC-Date': date,
+                'WARC-Target-URI': exchange.url,
+                'WARC-Concurrent-To': responseId,
+                'WARC-Block-Digest': sha1Digest(requestBlock),
+                'Content-Type': 'application/http;msgtype=request',
+            }, requestBlock),
+        ];
+
+        pending = pending.then(() => write(records)).catch((error) => {
+            console.error('WARC write error:', error);
+        });
+        return pending;
+    };
+
+    /**
+     * Wrap an undici response so its body is recorded once it has been read to the end.
+     * Bodies that are cancelled half-way (client gone) or exceed maxRecordSize are not recorded.
+     */
+    const recordResponse = (response, exchange) => {
+        const source = response.body;
+        let chunks = [];
+        let size = 0;
+
+        const body = Readable.from((async function* () {
+            let complete = false;
+            try {
+                for await (const chunk of source) {
+                    size += chunk.length;
+                    if (size > maxRecordSize) {
+                        chunks = [];
+                    } else {
+                        chunks.push(chunk);
+                    }
+                    yield chunk;
+                }
+                complete = true;
+            } finally {
+                if (!complete) {
+                    source.destroy();
+                } else if (size > maxRecordSize) {
+                    stats.skipped++;
+                } else {
+                    record({
+                        ...exchange,
+                        statusCode: response.statusCode,
+                        responseHeaders: response.headers,
+                        body: Buffer.concat(chunks, size),
+                    });
+                }
+            }
+        })(), {
+            objectMode: false
+        });
+
+        return {
+            ...response,
+            body: withDump(body),
+        };
+    };
+
+    return {
+        record,
+        recordResponse,
+        stats: () => ({
+            ...stats,
+            file: fileName,
+        }),
+        close: async () => {
+            await pending;
+            await handle?.close();
+            handle = null;
+        },
+    };
+};
+
+// undici bodies have dump(); the handlers call it on redirects
+const withDump = (body) => {
+    body.dump = async () => {
+        for await (const _ of body) {
+            // discard
+        }
+    };
+    return body;
+};
+
+// Read from `offset` until "\r\n\r\n"; returns the text before it and the offset after it
+const readHead = async (handle, offset, limit) => {
+    const chunkSize = 16 * 1024;
+    let data = Buffer.alloc(0);
+
+    while (data.length < limit) {
+        const chunk = Buffer.alloc(chunkSize);
+        const { bytesRead } = await handle.read(chunk, 0, chunkSize, offset + data.length);
+        if (!bytesRead) break;
+        data = Buffer.concat([data, chunk.subarray(0, bytesRead)]);
+
+        const end = data.indexOf(CRLF + CRLF);
+        if (end !== -1) {
+            return {
+                text: data.subarray(0, end).toString('latin1'),
+                next: offset + end + 4,
+            };
+        }
+    }
+    return null;
+};
+
+// "Name: value" lines -> { name (lower case): value | [values] }
+const parseHeaderLines = (lines) => {
+    const headers = {};
+    for (const line of lines) {
+        const colon = line.indexOf(':');
+        if (colon <= 0) continue;
+        const name = line.slice(0, colon).trim().toLowerCase();
+        const value = line.slice(colon + 1).trim();
+        if (headers[name] === undefined) {
+            headers[name] = value;
+        } else {
+            headers[name] = [].concat(headers[name], value);
+        }
+    }
+    return headers;
+};
+
+// Record offsets of one .warc file
+const indexFile = async (path, index) => {
+    const handle = await open(path, 'r');
+    const responses = [];
+    // response record id -> method, from the request records
+    const methods = new Map();
+
+    try {
+        const { size } = await handle.stat();
+        let offset = 0;
+
+        while (offset < size) {
+            const head = await readHead(handle, offset, 64 * 1024);
+            if (!head || !head.text.startsWith('WARC/')) {
+                throw new Error(`Invalid WARC record at offset ${offset}`);
+            }
+            const fields = parseHeaderLines(head.text.split(CRLF).slice(1));
+            const length = parseInt(fields['content-length'], 10);
+            if (!Number.isFinite(length)) {
+                throw new Error(`Missing Content-Length at offset ${offset}`);
+            }
+
+            const type = fields['warc-type'];
+            if (type === 'response' && fields['warc-target-uri'] && /msgtype=response/.test(fields['content-type'] || '')) {
+                responses.push({
+                    id: fields['warc-record-id'],
+                    uri: fields['warc-target-uri'].replace(/^<|>$/g, ''),
+                    date: fields['warc-date'],
+                    offset: head.next,
+                    length,
+                });
+            } else if (type === 'request' && fields['warc-concurrent-to']) {
+                const line = await readHead(handle, head.next, Math.min(length, 64 * 1024));
+                const method = line?.text.split(' ')[0];
+                if (method) {
+                    methods.set(fields['warc-concurrent-to'], method.toUpperCase());
+                }
+            }
+
+            // Block, then the two CRLFs ending the record
+            offset = head.next + length + 4;
+        }
+    } finally {
+        await handle.close();
+    }
+
+    for (const { id, uri, ...location } of responses) {
+        index.set(`${methods.get(id) || 'GET'} ${normalizeUri(uri)}`, {
+            path,
+            uri,
+            ...location,
+        });
+    }
+    return responses.length;
+};
+
+const normalizeUri = (uri) => {
+    try {
+        return new URL(uri).href;
+    } catch {
+        return uri;
+    }
+};
+
+// De-chunk a body recorded with its transfer framing (other WARC tools keep it)
+const dechunk = (data) => {
+    const parts = [];
+    let offset = 0;
+    while (offset < data.length) {
+        const lineEnd = data.indexOf(CRLF, offset);
+        if (lineEnd === -1) break;
+        const size = parseInt(data.subarray(offset, lineEnd).toString('latin1'), 16);
+        if (!size) break;
+        parts.push(data.subarray(lineEnd + 2, lineEnd + 2 + size));
+        offset = lineEnd + 2 + size + 2;
+    }
+    return Buffer.concat(parts);
+};
+
+const DECODERS = {
+    gzip: createGunzip,
+    'x-gzip': createGunzip,
+    deflate: createInflate,
+    br: createBrotliDecompress,
+};
+
+/**
+ * Load every .warc file in `dir` for replay.
+ * lookup(method, url) resolves to an undici-like { statusCode, headers, body } or null.
+ */
+export const loadWarcArchive = async (dir) => {
+    // "<METHOD> <uri>" -> { path, uri, date, offset, length }
+    const index = new Map();
+    const files = (await readdir(dir)).filter(name => name.endsWith('.warc')).sort();
+
+    for (const name of files) {
+        await indexFile(join(dir, name), index);
+    }
+
+    const readResponse = async (entry) => {
+        const handle = await open(entry.path, 'r');
+        let head;
+        try {
+            head = await readHead(handle, entry.offset, Math.min(entry.length, 256 * 1024));
+        } finally {
+            await handle.close();
+        }
+        if (!head) {
+            throw new Error(`Invalid HTTP response in WARC record for ${entry.uri}`);
+        }
+
+        const [statusLine, ...lines] = head.text.split(CRLF);
+        const statusCode = parseInt(statusLine.split(' ')[1], 10);
+        const headers = parseHeaderLines(lines);
+        const bodyEnd = entry.offset + entry.length;
+
+        let body = head.next < bodyEnd ? createReadStream(entry.path, {
+            start: head.next,
+            end: bodyEnd - 1,
+        }) : Readable.from([]);
+
+        if (/chunked/i.test(headers['transfer-encoding'] || '')) {
+            const chunks = [];
+            for await (const chunk of body) chunks.push(chunk);
+            body = Readable.from([dechunk(Buffer.concat(chunks))]);
+            delete headers['transfer-encoding'];
+        }
+
+        // Responses are served uncompressed, like the ones from the origin pool
+        const decoder = DECODERS[(headers['content-encoding'] || '').toLowerCase()];
+        if (decoder) {
+            body = body.pipe(decoder());
+            delete headers['content-encoding'];
+        }
+        delete headers['content-length'];
+
+        return {
+            statusCode,
+            headers,
+            body: withDump(body),
+        };
+    };
+
+    return {
+        files: files.length,
+        size: () => index.size,
+        lookup: async (method, url) => {
+            // HEAD is answered from the GET capture
+            const entry = index.get(`${method === 'HEAD' ? 'GET' : method} ${normalizeUri(url)}`);
+            return entry ? readResponse(entry) : null;
+        },
+    };
+};
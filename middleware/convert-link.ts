@@ -1,45 +1,193 @@
 import { Context, Next } from 'hono'
+import { rewriteHtmlResponse } from '../lib/html-rewriter.js'
+import { rewriteTextResponse } from '../lib/text-rewriter.js'
+import { createTextUrlRewriter, createUrlRewriter, rewriteCss, rewriteRefresh, rewriteSrcset } from '../lib/url-rewriter.js'
 
-function escapeRegExp(string: string) {
-    return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+// 任意标签上只要出现就按 URL 处理的属性
+const URL_ATTRIBUTES = [
+    'href', 'src', 'action', 'formaction', 'poster', 'cite', 'background',
+    'longdesc', 'lowsrc', 'manifest', 'codebase', 'xlink:href', 'data-src', 'data-href',
+]
+
+// 只在特定标签上表示 URL 的属性
+const ELEMENT_URL_ATTRIBUTES: Record<string, string[]> = {
+    object: ['data'],
+    applet: ['code', 'archive'],
+}
+
+// srcset 格式（"a.png 1x, b.png 2x"）的属性
+const SRCSET_ATTRIBUTES = ['srcset', 'imagesrcset', 'data-srcset']
+
+// 空格分隔的 URL 列表
+const URL_LIST_ATTRIBUTES = ['ping']
+
+// target 中的 HOST 会替换为当前请求的 Host，例如 "HOST/npm"
+type LinkMapping = { origin: string, target: string }
+
+// 可改写的内容类型
+export type RewriteType = 'html' | 'css' | 'js' | 'json' | 'xml' | 'manifest' | 'sourcemap'
+
+export const REWRITE_TYPES: RewriteType[] = ['html', 'css', 'js', 'json', 'xml', 'manifest', 'sourcemap']
+
+interface ConvertLinkOptions {
+    // 当前站点的挂载前缀（如 "/npm"），用于改写根相对路径
+    pathPrefix?: string | ((c: Context) => string)
+    // 启用改写的内容类型，默认全部
+    types?: RewriteType[] | ((c: Context) => RewriteType[])
+    // 返回 true 时原样返回响应（如 SSE 等流式响应）
+    skip?: (c: Context) => boolean
 }
 
-function replaceDomain(htmlString: string, tagName: string, attrName: string, origin: string, target: string) {
-    const escapedOrigin = escapeRegExp(origin);
-    // 只匹配 a 标签中的 href 属性
-    const regex = new RegExp('<' + tagName + '[^>]*?\\s*' + attrName + '\\s*=\\s*(["\\\'])(https?:\\/\\/)' + escapedOrigin + '([^"\\\']*)\\1[^>]*>', 'gi');
+type RewriteUrl = (value: string) => string
 
-    return htmlString.replace(regex, function (match: string, quote: string, protocol: string, path: string) {
-        return match.replace(
-            new RegExp(attrName + '\\s*=\\s*(["\\\'])(https?:\\/\\/)' + escapedOrigin + '([^"\\\']*)\\1', 'i'),
-            attrName + '=' + quote + protocol + target + path + quote
-        );
-    });
+// 根据 Content-Type 和路径判断内容类型，manifest 和 source map 要先于 json 判断
+export function detectRewriteType(contentType: string, path: string): RewriteType | null {
+    const type = contentType.split(';')[0].trim().toLowerCase()
+
+    if (type === 'text/html' || type === 'application/xhtml+xml') return 'html'
+    if (type === 'text/css') return 'css'
+    if (type === 'application/manifest+json' || /(^|\/)manifest\.json$|\.webmanifest$/i.test(path)) return 'manifest'
+    if (/\.map$/i.test(path) && (type.includes('json') || type === 'application/octet-stream' || !type)) return 'sourcemap'
+    if (/^(application|text)\/(x-)?(javascript|ecmascript)$/.test(type)) return 'js'
+    if (type === 'application/json' || type.endsWith('+json')) return 'json'
+    if (type === 'application/xml' || type === 'text/xml' || type.endsWith('+xml')) return 'xml'
+    return null
+}
+
+// 内联 <script> 的改写类型：没有 type、JS 类型或 module 按 js，JSON、importmap 等按 json，
+// 模板（text/template 等）不改写
+function scriptRewriteType(type: string | null): RewriteType | null {
+    const value = (type || '').split(';')[0].trim().toLowerCase()
+    if (!value || value === 'module' || detectRewriteType(value, '') === 'js') return 'js'
+    if (value === 'importmap' || value === 'speculationrules' || detectRewriteType(value, '') === 'json') return 'json'
+    return null
+}
+
+// 不能切断 URL 的分隔字符，见 lib/text-rewriter.js
+const TEXT_SEPARATORS: Record<string, string[]> = {
+    css: ['}', '\n'],
+    js: ['"', "'", '`', ';', '\n'],
+    json: ['"', '\n'],
+    sourcemap: ['"', '\n'],
+    xml: ['<', '>', '\n'],
+    // manifest 需要整体解析
+    manifest: [],
+}
+
+// manifest 中的 start_url、scope、icons[].src 等都是 URL，根相对路径也要加前缀
+function rewriteManifest(text: string, rewriteUrl: RewriteUrl, rewriteText: (text: string) => string) {
+    try {
+        const walk = (value: any): any => {
+            if (typeof value === 'string') return rewriteUrl(value)
+            if (Array.isArray(value)) return value.map(walk)
+            if (value && typeof value === 'object') {
+                return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, walk(v)]))
+            }
+            return value
+        }
+        return JSON.stringify(walk(JSON.parse(text)))
+    } catch {
+        return rewriteText(text)
+    }
 }
 
-function convertLink(htmlString: string, origin: string, target: string) {
-    htmlString = replaceDomain(htmlString, 'a', 'href', origin, target)
-    htmlString = replaceDomain(htmlString, 'img', 'src', origin, target)
-    htmlString = replaceDomain(htmlString, 'link', 'href', origin, target)
-    htmlString = replaceDomain(htmlString, 'script', 'src', origin, target)
-    return htmlString
+// 改写一个标签上所有携带 URL 的属性（离线快照 lib/snapshot.js 也用它收集和改写链接）
+export function convertElement(el: any, rewriteUrl: RewriteUrl, types: RewriteType[]) {
+    const rewriteAttr = (name: string, rewrite: (value: string) => string) => {
+        const value = el.getAttribute(name)
+        if (value) {
+            el.setAttribute(name, rewrite(value))
+        }
+    }
+
+    URL_ATTRIBUTES.forEach((name) => rewriteAttr(name, rewriteUrl));
+    (ELEMENT_URL_ATTRIBUTES[el.name] || []).forEach((name) => rewriteAttr(name, rewriteUrl))
+    SRCSET_ATTRIBUTES.forEach((name) => rewriteAttr(name, (value) => rewriteSrcset(value, rewriteUrl)))
+    URL_LIST_ATTRIBUTES.forEach((name) => rewriteAttr(name, (value) => value.replace(/\S+/g, rewriteUrl)))
+    rewriteAttr('style', (value) => rewriteCss(value, rewriteUrl))
+
+    if (el.name === 'meta' && el.getAttribute('http-equiv')?.toLowerCase() === 'refresh') {
+        rewriteAttr('content', (value) => rewriteRefresh(value, rewriteUrl))
+    }
+
+    // 脚本和样式内容被改写后 SRI 校验会失败
+    if ((el.name === 'script' && types.includes('js')) || (el.name === 'link' && types.includes('css'))) {
+        el.removeAttribute('integrity')
+    }
 }
 
-const convertLinkMiddleware = (list: { origin: string, target: string }[]) => {
+// list 可以是固定列表，也可以是按请求（如按站点）返回列表的函数
+const convertLinkMiddleware = (list: LinkMapping[] | ((c: Context) => LinkMapping[]), options: ConvertLinkOptions = {}) => {
     return async (c: Context, next: Next) => {
         await next();
-        const res = c.res.clone()
-        const body = res.body
-        let bodyText = ''
-        if (body && res.headers.get('content-type')?.includes('text/html')) {
-            bodyText = await res.text()
-            list.forEach((item) => {
-                if (item.target === 'HOST') item.target = c.req.header('host') || '';
-                bodyText = convertLink(bodyText, item.origin, item.target)
+        if (options.skip?.(c)) {
+            return
+        }
+        const mappings = typeof list === 'function' ? list(c) : list
+        const pathPrefix = typeof options.pathPrefix === 'function' ? options.pathPrefix(c) : options.pathPrefix || ''
+        const types = (typeof options.types === 'function' ? options.types(c) : options.types) || REWRITE_TYPES
+        const res = c.res
+
+        // 部分内容（206）改写后会和 Content-Range 对不上，原样返回
+        if (!res.body || res.status === 206 || (!mappings.length && !pathPrefix)) {
+            return
+        }
+
+        const type = detectRewriteType(res.headers.get('content-type') || '', c.req.path)
+        if (!type || !types.includes(type)) {
+            return
+        }
+
+        const host = c.req.header('host') || ''
+        // 不修改原列表，避免第一次请求的 Host 被固定下来
+        const resolvedMappings = mappings.map((item) => ({
+            origin: item.origin,
+            target: item.target.replace(/^HOST/, host),
+        }))
+        const rewriteUrl = createUrlRewriter({
+            mappings: resolvedMappings,
+            pathPrefix,
+        })
+        const rewriteText = createTextUrlRewriter({
+            mappings: resolvedMappings,
+        })
+
+        let rewritten: Response
+        if (type === 'html') {
+            // 边接收边改写，不缓冲整个页面；<style> 的内容整体交给 rewriteCss，
+            // 内联 <script> 和外部 .js / .json 文件一样按启用的类型改写
+            let scriptType: RewriteType | null = null
+            rewritten = rewriteHtmlResponse(res, {
+                element(el) {
+                    if (el.name === 'script') {
+                        scriptType = scriptRewriteType(el.getAttribute('type'))
+                    }
+                    convertElement(el, rewriteUrl, types)
+                },
+                text(text, rawTag) {
+                    if (rawTag === 'style') {
+                        return rewriteCss(text, rewriteUrl)
+                    }
+                    if (rawTag === 'script' && scriptType && types.includes(scriptType)) {
+                        return rewriteText(text)
+                    }
+                    return text
+                },
+                bufferRawText: ['style', 'script'],
             })
-            c.res = new Response(bodyText, res)
+        } else {
+            const rewrite = type === 'css'
+                ? (text: string) => rewriteCss(text, rewriteUrl)
+                : type === 'manifest'
+                    ? (text: string) => rewriteManifest(text, rewriteUrl, rewriteText)
+                    : rewriteText
+            rewritten = rewriteTextResponse(res, rewrite, TEXT_SEPARATORS[type])
         }
+
+        // 先清空 c.res，否则 Hono 会把旧响应的 content-length 合并回来
+        c.res = undefined
+        c.res = rewritten
     }
 }
 
-export default convertLinkMiddleware
\ No newline at end of file
+export default convertLinkMiddleware
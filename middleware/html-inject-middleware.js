@@ -1,15 +1,34 @@
 // html-inject-middleware.js
+import { rewriteHtmlResponse } from '../lib/html-rewriter.js';
+
+// 参数可以是四段注入内容，也可以是一个按请求返回
+// { headBegin, headEnd, bodyBegin, bodyEnd } 的函数（用于多站点）
 const htmlInjectMiddleware = (
-    INJECTED_HEAD_BEGIN = '',
-    INJECTED_HEAD_END = '',
-    INJECTED_BODY_BEGIN = '',
-    INJECTED_BODY_END = '',
+    injectedOrResolver = '',
+    injectedHeadEnd = '',
+    injectedBodyBegin = '',
+    injectedBodyEnd = '',
 ) => {
+  const resolveInjection = typeof injectedOrResolver === 'function'
+    ? (c) => injectedOrResolver(c) || {}
+    : () => ({
+      headBegin: injectedOrResolver,
+      headEnd: injectedHeadEnd,
+      bodyBegin: injectedBodyBegin,
+      bodyEnd: injectedBodyEnd,
+    });
 
   return async (c, next) => {
     await next();
 
-    if (!c.res || c.res.status !== 200) {
+    const {
+      headBegin: INJECTED_HEAD_BEGIN = '',
+      headEnd: INJECTED_HEAD_END = '',
+      bodyBegin: INJECTED_BODY_BEGIN = '',
+      bodyEnd: INJECTED_BODY_END = '',
+    } = resolveInjection(c);
+
+    if (!c.res || c.res.status !== 200 || !c.res.body) {
       return;
     }
 
@@ -25,60 +44,37 @@ const htmlInjectMiddleware = (
     }
 
     try {
-      const response = c.res.clone();
-      const html = await response.text();
-
-      let injectedHtml = html;
-      let injectionLog = [];
-
-      if (INJECTED_HEAD_BEGIN) {
-        injectedHtml = injectedHtml.replace(
-          /<head[^>]*>/i,
-          (match) => `${match}${INJECTED_HEAD_BEGIN}`
-        );
-        injectionLog.push('HEAD_BEGIN');
-      }
-
-      if (INJECTED_HEAD_END) {
-        injectedHtml = injectedHtml.replace(
-          /<\/head>/i,
-          `${INJECTED_HEAD_END}</head>`
-        );
-        injectionLog.push('HEAD_END');
-      }
-
-      if (INJECTED_BODY_BEGIN) {
-        injectedHtml = injectedHtml.replace(
-          /<body[^>]*>/i,
-          (match) => `${match}${INJECTED_BODY_BEGIN}`
-        );
-        injectionLog.push('BODY_BEGIN');
-      }
-
-      if (INJECTED_BODY_END) {
-        injectedHtml = injectedHtml.replace(
-          /<\/body>/i,
-          `${INJECTED_BODY_END}</body>`
-        );
-        injectionLog.push('BODY_END');
-      }
-
-      const newHeaders = new Headers(c.res.headers);
-
-      if (newHeaders.has('content-length')) {
-        newHeaders.delete('content-length');
-      }
-
-      newHeaders.set('X-HTML-Injected', 'true');
-      newHeaders.set('X-Injection-Points', injectionLog.join(', '));
-
-      c.res = new Response(injectedHtml, {
-        status: c.res.status,
-        statusText: c.res.statusText,
-        headers: newHeaders,
+      const injectionLog = [];
+      if (INJECTED_HEAD_BEGIN) injectionLog.push('HEAD_BEGIN');
+      if (INJECTED_HEAD_END) injectionLog.push('HEAD_END');
+      if (INJECTED_BODY_BEGIN) injectionLog.push('BODY_BEGIN');
+      if (INJECTED_BODY_END) injectionLog.push('BODY_END');
+
+      // 每个注入点只在第一次出现对应标签时注入
+      const injected = new Set();
+      const injectOnce = (point, content, insert) => {
+        if (!content || injected.has(point)) return;
+        injected.add(point);
+        insert(content);
+      };
+
+      const rewritten = rewriteHtmlResponse(c.res, {
+        element(el) {
+          if (el.name === 'head') injectOnce('HEAD_BEGIN', INJECTED_HEAD_BEGIN, el.after);
+          if (el.name === 'body') injectOnce('BODY_BEGIN', INJECTED_BODY_BEGIN, el.after);
+        },
+        endTag(tag) {
+          if (tag.name === 'head') injectOnce('HEAD_END', INJECTED_HEAD_END, tag.before);
+          if (tag.name === 'body') injectOnce('BODY_END', INJECTED_BODY_END, tag.before);
+        },
+      }, {
+        'X-HTML-Injected': 'true',
+        'X-Injection-Points': injectionLog.join(', '),
       });
 
-
+      // 先清空 c.res，否则 Hono 会把旧响应的 content-length 合并回来
+      c.res = undefined;
+      c.res = rewritten;
     } catch (error) {
       console.error('HTML injection error:', error);
       return;
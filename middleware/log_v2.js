@@ -2,25 +2,46 @@
 // node_modules\hono\dist\utils\color.js
 // node_modules\hono\dist\middleware\logger\index.js
 import { getConnInfo } from '@hono/node-server/conninfo'
+import { createIpMatcher, forwardedProto, normalizeIP, resolveClientIP } from '../lib/ip-filter.js'
+
+// 受信任的反向代理（如 nginx），只有来自这些地址的连接才使用 X-Forwarded-For / Forwarded
+let trustedProxies = createIpMatcher()
+
+function setTrustedProxies(list) {
+  trustedProxies = createIpMatcher(list)
+}
 
 function getClientIP(c) {
   try {
     const { remote } = getConnInfo(c)
-    let ip = remote?.address || 'unknown'
-    
     // 处理IPv6映射的IPv4地址
-    if (ip === '::1') {
-      ip = '127.0.0.1'
-    } else if (ip.startsWith('::ffff:')) {
-      ip = ip.substring(7) // 提取IPv4部分
-    }
-    
-    return ip
+    const ip = remote?.address ? normalizeIP(remote.address) : 'unknown'
+
+    return resolveClientIP(ip, {
+      forwarded: c.req.header('forwarded'),
+      xForwardedFor: c.req.header('x-forwarded-for'),
+    }, trustedProxies)
   } catch {
     return 'unknown'
   }
 }
 
+// 客户端使用的协议（http / https）；只有来自受信任代理的连接才使用 Forwarded / X-Forwarded-Proto，
+// 否则为实际连接的协议（镜像内部请求没有连接信息，同样使用请求 URL 的协议）
+function getRequestProtocol(c) {
+  const own = new URL(c.req.url).protocol.replace(':', '')
+  try {
+    const { remote } = getConnInfo(c)
+    const ip = remote?.address ? normalizeIP(remote.address) : ''
+    if (!trustedProxies.size || !trustedProxies(ip)) {
+      return own
+    }
+    return forwardedProto(c.req.header('forwarded'), c.req.header('x-forwarded-proto')) || own
+  } catch {
+    return own
+  }
+}
+
 function getColorEnabled() {
   const { process, Deno } = globalThis
   const isNoColor = typeof Deno?.noColor === 'boolean' 
@@ -87,5 +108,8 @@ var logger = (fn = console.log) => {
   };
 };
 export {
-  logger
+  logger,
+  getClientIP,
+  getRequestProtocol,
+  setTrustedProxies
 };
@@ -1,68 +1,297 @@
-import { MiddlewareHandler } from 'hono'
-import { getCookie } from 'hono/cookie'
+import { Context, MiddlewareHandler } from 'hono'
+import { bodyLimit } from 'hono/body-limit'
+import { deleteCookie, getCookie, setCookie } from 'hono/cookie'
+import { safeEqual, signSession, tokenAllows, tokenFingerprint, verifySession } from '../lib/access-tokens.js'
+
+// lib/access-tokens.js 中 createTokenStore 返回的命名令牌
+interface TokenEntry {
+  name: string
+  token: string
+  expiresAt: number | null
+  admin: boolean
+  matchPath: (path: string) => boolean
+}
+
+// lib/login-guard.js 的 createLoginGuard
+interface LoginGuard {
+  status(client: string): { locked: boolean, retryAfter: number, remaining: number }
+  fail(client: string): number
+  succeed(client: string): void
+}
+
+interface TokenStore {
+  readonly size: number
+  get(name: string): TokenEntry | null
+  find(secret: string): TokenEntry | null
+}
+
+// 验证通过后放在 c.get('accessToken') 中；共享令牌的 name 为空字符串
+export interface AccessToken {
+  name: string
+  admin: boolean
+}
 
 interface TokenAuthOptions {
   cookieName?: string
-  token: string
+  // 共享令牌：固定令牌，或按请求（如按站点）返回令牌的函数
+  token?: string | ((c: Context) => string)
+  // 命名令牌，文件修改后立即生效；设置后始终验证，没有可用令牌时拒绝所有访问
+  tokens?: TokenStore
+  // 会话 cookie 的签名密钥
+  secret: string
+  // 会话有效期（秒），默认 30 天，不会超过令牌本身的过期时间
+  sessionMaxAge?: number
+  // 登录/退出地址和会话 cookie 的路径前缀（站点挂载前缀）
+  pathPrefix?: string | ((c: Context) => string)
+  // 当前站点名，用于命名令牌的 sites 限制
+  siteName?: (c: Context) => string | undefined
+  // 登录失败次数限制，按 clientId（客户端 IP）计算
+  guard?: LoginGuard
+  clientId?: (c: Context) => string
+  // 客户端使用的协议，https 时会话 cookie 带 Secure；默认为请求 URL 的协议（不读取 X-Forwarded-Proto）
+  protocol?: (c: Context) => string
   setupPageTitle?: string
+  // 不需要令牌的路径（有会话时仍会识别，例如管理员令牌访问缓存管理接口）
+  excludePaths?: string[]
+  // 管理接口路径（如 /cache）：挂载在前缀下的站点，admin 令牌登录时在此路径另写一个会话 cookie，
+  // 否则浏览器不会把前缀下的会话发给管理接口
+  adminPath?: string
+  // 返回 true 时跳过验证，例如镜像自己发起的内部请求
+  skip?: (c: Context) => boolean
 }
 
+// 登录和退出地址，加在站点前缀后面
+export const LOGIN_PATH = '/__auth/login'
+export const LOGOUT_PATH = '/__auth/logout'
+
+const escapeHtml = (value: string) => value.replace(/[&<>"']/g, (ch) => `&#${ch.charCodeAt(0)};`)
+
+// 登录后只跳回本站的路径，避免被用来跳转到其他网站
+const safeRedirect = (value: unknown, fallback: string) =>
+  typeof value === 'string' && value.startsWith('/') && !value.startsWith('//') && !value.startsWith('/\\') ? value : fallback
+
+const formatWait = (seconds: number) => seconds < 60 ? `${seconds} 秒` : `${Math.ceil(seconds / 60)} 分钟`
+
+// 登录表单只有令牌和跳转地址
+const LOGIN_BODY_LIMIT = 4096
+
+type AuthResult = { token: AccessToken } | { status: 401 | 403, message: string }
+
 export const tokenAuth = (options: TokenAuthOptions): MiddlewareHandler => {
   const {
     cookieName = 'access_token',
     token,
-    setupPageTitle = '设置访问令牌'
+    tokens,
+    secret,
+    sessionMaxAge = 30 * 24 * 60 * 60,
+    setupPageTitle = '设置访问令牌',
+    excludePaths = [],
+    adminPath,
+    guard,
+    clientId = () => 'unknown',
+    protocol = (c: Context) => new URL(c.req.url).protocol.replace(':', ''),
+    skip
   } = options
 
-  return async (c, next) => {
-    // 从cookie中获取令牌[2](@ref)
-    const cookieToken = getCookie(c, cookieName)
-    
-    // 检查令牌是否匹配
-    if (!!token && cookieToken == token) {
-      // 令牌匹配，继续处理请求
-      await next()
-    } else {
-      // 令牌不匹配，返回设置页面
-      return c.html(`
+  // 按实际读取的字节数限制，没有 Content-Length 的分块请求体也不会无限读入内存
+  const loginBodyLimit = bodyLimit({
+    maxSize: LOGIN_BODY_LIMIT,
+    onError: (c) => c.text('Payload Too Large', 413)
+  })
+
+  const page = (c: Context, heading: string, content: string, status: 200 | 401 | 403 | 429) => c.html(`
         <!DOCTYPE html>
         <html>
         <head>
-            <title>${setupPageTitle}</title>
+            <title>${escapeHtml(setupPageTitle)}</title>
             <meta name="viewport" content="width=device-width, initial-scale=1.0">
             <meta charset="utf-8">
             <style>
                 body { font-family: Arial, sans-serif; max-width: 500px; margin: 100px auto; padding: 20px; }
                 .container { border: 1px solid #ddd; border-radius: 8px; padding: 30px; }
-                input { width: 100%; padding: 10px; margin: 10px 0; border: 1px solid #ccc; border-radius: 4px; }
+                .error { color: #c62828; }
+                input { width: 100%; padding: 10px; margin: 10px 0; border: 1px solid #ccc; border-radius: 4px; box-sizing: border-box; }
                 button { background: #007acc; color: white; border: none; padding: 10px 20px; border-radius: 4px; cursor: pointer; }
                 button:hover { background: #005a9e; }
             </style>
         </head>
         <body>
             <div class="container">
-                <h2>访问令牌设置</h2>
-                <p>请设置有效的访问令牌以继续访问：</p>
-                <form id="tokenForm">
-                    <input type="text" id="tokenInput" placeholder="请输入访问令牌" required>
-                    <button type="submit">设置令牌</button>
-                </form>
+                <h2>${heading}</h2>
+                ${content}
             </div>
-            <script>
-                document.getElementById('tokenForm').addEventListener('submit', function(e) {
-                    e.preventDefault();
-                    const token = document.getElementById('tokenInput').value.trim();
-                    if (token) {
-                        // 设置cookie，有效期30天
-                        document.cookie = '${cookieName}=' + token + '; max-age=${30 * 24 * 60 * 60}; path=/';
-                        alert('令牌设置成功！');
-                        window.location.reload();
-                    }
-                });
-            </script>
         </body>
         </html>
-      `,401)
+      `, status)
+
+  // 锁定期间不显示输入框，并带上 Retry-After
+  const setupPage = (c: Context, loginPath: string, redirect: string, message: string, status: 200 | 401 | 403 | 429) => {
+    const lock = guard?.status(clientId(c))
+    if (lock?.locked) {
+      c.header('Retry-After', String(lock.retryAfter))
+      message = `尝试次数过多，请 ${formatWait(lock.retryAfter)}后再试`
+    }
+    const form = lock?.locked ? '' : `
+                <form method="post" action="${escapeHtml(loginPath)}">
+                    <input type="password" name="token" placeholder="请输入访问令牌" autocomplete="current-password" required autofocus>
+                    <input type="hidden" name="redirect" value="${escapeHtml(redirect)}">
+                    <button type="submit">设置令牌</button>
+                </form>`
+    return page(c, '访问令牌设置', `<p>请设置有效的访问令牌以继续访问：</p>
+                ${message ? `<p class="error">${escapeHtml(message)}</p>` : ''}${form}`, status)
+  }
+
+  const adminCookieName = `${cookieName}_admin`
+  const isAdminPath = (path: string) => !!adminPath && (path === adminPath || path.startsWith(`${adminPath}/`))
+
+  // 校验会话 cookie：签名、有效期，命名令牌还要仍然存在、未停用、未过期、令牌值未更换
+  const authenticate = (c: Context, value: string | undefined, sharedToken: string, siteName: string | undefined, checkPath: boolean): AuthResult | null => {
+    if (!value) {
+      return null
+    }
+    const session = verifySession(value, secret)
+    if (!session) {
+      return { status: 401, message: '登录已过期，请重新输入令牌' }
+    }
+
+    if (session.name) {
+      const entry = tokens?.get(session.name)
+      if (!entry || session.fingerprint !== tokenFingerprint(entry.token, secret) || !tokenAllows(entry, { siteName })) {
+        return { status: 401, message: '令牌已失效，请重新输入' }
+      }
+      if (checkPath && !entry.matchPath(c.req.path)) {
+        return { status: 403, message: '当前令牌无权访问此页面' }
+      }
+      return { token: { name: entry.name, admin: entry.admin } }
+    }
+
+    if (sharedToken && session.fingerprint === tokenFingerprint(sharedToken, secret)) {
+      return { token: { name: '', admin: false } }
+    }
+    return { status: 401, message: '令牌已失效，请重新输入' }
+  }
+
+  return async (c, next) => {
+    if (skip?.(c)) {
+      return next()
     }
+
+    const sharedToken = (typeof token === 'function' ? token(c) : token) || ''
+
+    // 未配置共享令牌和命名令牌文件时不启用验证（令牌文件中的令牌全部删除后仍然验证）
+    if (!sharedToken && !tokens) {
+      return next()
+    }
+
+    const prefix = (typeof options.pathPrefix === 'function' ? options.pathPrefix(c) : options.pathPrefix) || ''
+    const siteName = options.siteName?.(c)
+    const loginPath = `${prefix}${LOGIN_PATH}`
+    const cookiePath = prefix || '/'
+    const url = new URL(c.req.url)
+
+    // 退出只接受本站提交的 POST，其他网站的 <img>、链接或表单不能让用户退出
+    const logoutPath = `${prefix}${LOGOUT_PATH}`
+    if (c.req.path === logoutPath) {
+      if (c.req.method !== 'POST') {
+        return page(c, '退出登录', `
+                <form method="post" action="${escapeHtml(logoutPath)}">
+                    <button type="submit">退出登录</button>
+                </form>`, 200)
+      }
+      if (c.req.header('sec-fetch-site') === 'cross-site') {
+        return c.text('Forbidden', 403)
+      }
+      deleteCookie(c, cookieName, { path: cookiePath })
+      // 管理接口路径的 cookie 不会发到前缀下，无法判断是否存在，直接删除
+      if (adminPath && cookiePath !== '/') {
+        deleteCookie(c, adminCookieName, { path: adminPath })
+      }
+      return c.redirect(`${prefix}/`, 303)
+    }
+
+    if (c.req.path === loginPath) {
+      if (c.req.method !== 'POST') {
+        return setupPage(c, loginPath, `${prefix}/`, '', 200)
+      }
+
+      // 锁定期间不校验令牌，猜中也不算
+      const client = clientId(c)
+      if (guard?.status(client).locked) {
+        return setupPage(c, loginPath, `${prefix}/`, '', 429)
+      }
+
+      const tooLarge = await loginBodyLimit(c, async () => {})
+      if (tooLarge) {
+        return tooLarge
+      }
+
+      const form = await c.req.parseBody()
+      const value = typeof form.token === 'string' ? form.token.trim() : ''
+      const redirect = safeRedirect(form.redirect, `${prefix}/`)
+      const now = Date.now()
+
+      let session: { name: string, fingerprint: string, expiresAt: number } | null = null
+      const entry = value ? tokens?.find(value) : null
+      if (entry) {
+        if (tokenAllows(entry, { siteName, now })) {
+          session = {
+            name: entry.name,
+            fingerprint: tokenFingerprint(entry.token, secret),
+            expiresAt: Math.min(now + sessionMaxAge * 1000, entry.expiresAt ?? Infinity),
+          }
+        }
+      } else if (value && sharedToken && safeEqual(value, sharedToken)) {
+        session = {
+          name: '',
+          fingerprint: tokenFingerprint(sharedToken, secret),
+          expiresAt: now + sessionMaxAge * 1000,
+        }
+      }
+
+      if (!session) {
+        const lockedFor = guard?.fail(client) || 0
+        if (lockedFor) {
+          console.warn(`🔒 Token login locked for ${client}: ${Math.ceil(lockedFor / 1000)}s after repeated failures`)
+          return setupPage(c, loginPath, redirect, '', 429)
+        }
+        const remaining = guard?.status(client).remaining
+        return setupPage(c, loginPath, redirect, remaining !== undefined && remaining <= 2 ? `令牌无效或已过期，还可以尝试 ${remaining} 次` : '令牌无效或已过期', 401)
+      }
+      guard?.succeed(client)
+
+      // 令牌只在这里出现一次，浏览器只保存签名后的会话，脚本无法读取
+      const cookieOptions = {
+        httpOnly: true,
+        secure: protocol(c) === 'https',
+        sameSite: 'Lax',
+        expires: new Date(session.expiresAt),
+      } as const
+      setCookie(c, cookieName, signSession(session, secret), { ...cookieOptions, path: cookiePath })
+      if (entry?.admin && adminPath && cookiePath !== '/') {
+        setCookie(c, adminCookieName, signSession(session, secret), { ...cookieOptions, path: adminPath })
+      }
+      return c.redirect(redirect, 303)
+    }
+
+    const excluded = excludePaths.includes(c.req.path)
+    let result = authenticate(c, getCookie(c, cookieName), sharedToken, siteName, !excluded)
+    // 前缀站点上登录的 admin 令牌：管理接口不属于任何站点，不检查 sites 限制
+    if (isAdminPath(c.req.path) && !(result && 'token' in result)) {
+      const admin = authenticate(c, getCookie(c, adminCookieName), sharedToken, undefined, false)
+      if (admin && 'token' in admin && admin.token.admin) {
+        result = admin
+      }
+    }
+    if (result && 'token' in result) {
+      c.set('accessToken', result.token)
+    }
+
+    if (excluded || (result && 'token' in result)) {
+      return next()
+    }
+
+    // 令牌不匹配，返回设置页面
+    const failure = result && 'status' in result ? result : null
+    return setupPage(c, loginPath, url.pathname + url.search, failure?.message || '', failure?.status || 401)
   }
 }
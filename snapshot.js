@@ -0,0 +1,91 @@
+// snapshot.js
+// Export a static copy of the mirrored site for offline browsing
+//
+//   npm run snapshot -- --base https://mirror.example.com/ --out ./snapshot --depth 2
+//
+// Pages are requested through the app itself (same sites, rewriting, injection
+// and cache as the running server), so the origin only sees normal proxy traffic.
+
+import {
+    parseArgs
+} from 'node:util';
+import {
+    resolve
+} from 'node:path';
+import {
+    internalFetch,
+    sites,
+    warcWriter
+} from './index.js'
+import {
+    closeSites
+} from './lib/sites.js'
+import {
+    exportSnapshot
+} from './lib/snapshot.js'
+
+const {
+    values
+} = parseArgs({
+    options: {
+        base: {
+            type: 'string'
+        },
+        out: {
+            type: 'string',
+            default: './snapshot'
+        },
+        start: {
+            type: 'string',
+            multiple: true
+        },
+        depth: {
+            type: 'string',
+            default: '2'
+        },
+        limit: {
+            type: 'string',
+            default: '500'
+        },
+        concurrency: {
+            type: 'string',
+            default: '4'
+        },
+    },
+});
+
+if (!values.base) {
+    console.error('Usage: npm run snapshot -- --base <mirror url> [--out ./snapshot] [--start <path>]... [--depth 2] [--limit 500] [--concurrency 4]');
+    process.exit(1);
+}
+
+const outDir = resolve(values.out);
+let exitCode = 0;
+
+try {
+    const manifest = await exportSnapshot({
+        base: values.base,
+        outDir,
+        start: values.start,
+        depth: parseInt(values.depth, 10),
+        limit: parseInt(values.limit, 10),
+        concurrency: parseInt(values.concurrency, 10),
+        fetch: internalFetch,
+    });
+
+    console.log(`📦 Snapshot written to ${outDir}`);
+    console.log(`   Saved: ${manifest.fetched.length}, Redirects: ${Object.keys(manifest.redirects).length}, Failed: ${manifest.failed.length}`);
+    if (manifest.entry) {
+        console.log(`   Entry: ${resolve(outDir, manifest.entry)}`);
+    }
+    for (const { url, status, error } of manifest.failed) {
+        console.log(`   ✗ ${url} ${status ? `HTTP ${status}` : error}`);
+    }
+} catch (error) {
+    console.error('Snapshot failed:', error.message);
+    exitCode = 1;
+}
+
+await closeSites(sites);
+await warcWriter?.close();
+process.exit(exitCode);